@@ -2,11 +2,11 @@
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
-import { Plugin } from '@ckeditor/ckeditor5-core';
-import { EventInfo, toUnit, delay, DomEmitterMixin, global, Rect, ResizeObserver, env, uid, createElement } from '@ckeditor/ckeditor5-utils';
-import { DomEventObserver, DataTransfer, MouseObserver, LiveRange } from '@ckeditor/ckeditor5-engine';
+import { Command, Plugin } from '@ckeditor/ckeditor5-core';
+import { EventInfo, toUnit, delay, DomEmitterMixin, global, Rect, ResizeObserver, env, uid, createElement, logWarning, CKEditorError } from '@ckeditor/ckeditor5-utils';
+import { DomEventObserver, DataTransfer, DocumentFragment, MouseObserver, LiveRange, UpcastWriter, MarkdownDataProcessor, createContentLossReport } from '@ckeditor/ckeditor5-engine';
 import { Widget, isWidget } from '@ckeditor/ckeditor5-widget';
-import { View } from '@ckeditor/ckeditor5-ui';
+import { View, ButtonView, ContextMenu } from '@ckeditor/ckeditor5-ui';
 import { throttle } from 'lodash-es';
 
 /**
@@ -243,6 +243,17 @@ function newLinePadding(element, previous) {
 /**
  * @module clipboard/clipboardpipeline
  */
+// The flavors of the copied content that can be enabled with the `clipboard.outputFlavors` configuration option.
+const BUILT_IN_OUTPUT_FLAVORS = {
+    'text/markdown': editor => {
+        const markdownDataProcessor = new MarkdownDataProcessor(editor.data.viewDocument);
+        return content => markdownDataProcessor.toData(content);
+    }
+};
+// The data transfer type identifying the model content transferred between the editors sharing a context.
+const MODEL_CONTENT_UID_TYPE = 'application/ckeditor5-model-content-uid';
+// The model content copied or dragged from the editors, stored for each context the editors share.
+const contextModelContents = new WeakMap();
 // Input pipeline events overview:
 //
 //              ┌──────────────────────┐          ┌──────────────────────┐
@@ -320,12 +331,24 @@ function newLinePadding(element, previous) {
  *    event with the model document fragment in the `data.content` event field.
  *    **Note**: The `ClipboardPipeline#contentInsertion` event is fired within a model change block to allow other handlers
  *    to run in the same block without post-fixers called in between (i.e., the selection post-fixer).
+ * 3. If some of the content could not be converted, fires the `ClipboardPipeline#contentLoss` event with the report created by
+ *    {@link module:engine/conversion/contentlossreport~createContentLossReport `createContentLossReport()`}
+ *    in the `data.report` event field.
  *
  * ## Event: `ClipboardPipeline#contentInsertion`
  *
  * 1. Calls {@link module:engine/model/model~Model#insertContent `model.insertContent()`} to insert `data.content`
  *    at the current selection position.
  *
+ * ## Content transferred between editors
+ *
+ * If the content was copied or dragged from another editor sharing the same {@link module:core/context~Context context},
+ * and the schema of this editor allows it, the copied {@link module:engine/model/documentfragment~DocumentFragment
+ * `model.DocumentFragment`} (including the markers) is inserted directly. The `view.Document#clipboardInput` default handler
+ * fires the `ClipboardPipeline#contentInsertion` event with it, skipping the `ClipboardPipeline#inputTransformation` event.
+ * This way, the model attributes and markers without data converters are not lost. Otherwise, the HTML data is pasted.
+ * The transferred markers whose names are already used in this editor get a unique suffix appended to their names.
+ *
  * # Output pipeline
  *
  * The behavior of the default handlers (all at a `low` priority):
@@ -343,9 +366,13 @@ function newLinePadding(element, previous) {
  * 1. Processes `data.content` to HTML and plain text with the
  *    {@link module:engine/controller/datacontroller~DataController#htmlProcessor `DataController#htmlProcessor`}.
  * 2. Updates the `data.dataTransfer` data for `text/html` and `text/plain` with the processed data.
+ *    Additional flavors registered with {@link #registerOutputFlavor} are set as well.
  * 3. For the `cut` method, calls {@link module:engine/model/model~Model#deleteContent `model.deleteContent()`}
  *    on the current selection.
  *
+ * If the editor shares its context with other editors, the copied model document fragment, including the markers,
+ * is also stored so it can be inserted directly into these editors.
+ *
  * Read more about the clipboard integration in the {@glink framework/deep-dive/clipboard clipboard deep-dive} guide.
  */
 class ClipboardPipeline extends Plugin {
@@ -355,6 +382,18 @@ class ClipboardPipeline extends Plugin {
     static get pluginName() {
         return 'ClipboardPipeline';
     }
+    /**
+     * @inheritDoc
+     */
+    constructor(editor) {
+        super(editor);
+        editor.config.define('clipboard.outputFlavors', []);
+        this._outputFlavors = new Map();
+        /**
+         * Whether the content cut by the output transformation being fired should be kept.
+         */
+        this._keepCutContent = false;
+    }
     /**
      * @inheritDoc
      */
@@ -362,21 +401,87 @@ class ClipboardPipeline extends Plugin {
         const editor = this.editor;
         const view = editor.editing.view;
         view.addObserver(ClipboardObserver);
+        for (const type of editor.config.get('clipboard.outputFlavors')) {
+            if (BUILT_IN_OUTPUT_FLAVORS[type]) {
+                this.registerOutputFlavor(type, BUILT_IN_OUTPUT_FLAVORS[type](editor));
+            }
+        }
         this._setupPasteDrop();
         this._setupCopyCut();
     }
+    /**
+     * @inheritDoc
+     */
+    destroy() {
+        const context = this.editor.context;
+        const transferred = contextModelContents.get(context);
+        // The content copied from this editor can no longer be transferred to the other editors.
+        if (transferred && transferred.editor == this.editor) {
+            contextModelContents.delete(context);
+        }
+        super.destroy();
+    }
+    /**
+     * Registers an additional flavor of the copied content. On copy and cut, the converter is called with the copied
+     * view document fragment and the result is set in the data transfer under the given MIME type, next to
+     * the `text/html` and `text/plain` data.
+     *
+     * ```ts
+     * clipboardPipeline.registerOutputFlavor( 'application/x-my-format', ( content, data ) => {
+     * 	return myFormat.stringify( content );
+     * } );
+     * ```
+     *
+     * The built-in `text/markdown` flavor can be enabled with the `clipboard.outputFlavors` configuration option.
+     *
+     * @param type The MIME type of the flavor.
+     * @param converter The function converting the {@link module:engine/view/documentfragment~DocumentFragment view content}
+     * to a string. It also receives the {@link module:engine/view/document~Document#event:clipboardOutput `clipboardOutput`}
+     * event data.
+     */
+    registerOutputFlavor(type, converter) {
+        this._outputFlavors.set(type, converter);
+    }
+    /**
+     * Returns the converter of the output flavor registered with {@link #registerOutputFlavor} or `undefined`
+     * if the flavor was not registered.
+     *
+     * @param type The MIME type of the flavor.
+     */
+    getOutputFlavor(type) {
+        return this._outputFlavors.get(type);
+    }
     /**
      * Fires Clipboard `'outputTransformation'` event for given parameters.
      *
      * @internal
+     * @param options.keepCutContent When `true`, the cut content is not deleted by the default
+     * {@link module:engine/view/document~Document#event:clipboardOutput `clipboardOutput`} handler, so the caller
+     * can delete it later, e.g. once it was written to the system clipboard.
      */
-    _fireOutputTransformationEvent(dataTransfer, selection, method) {
-        const content = this.editor.model.getSelectedContent(selection);
-        this.fire('outputTransformation', {
-            dataTransfer,
-            content,
-            method
-        });
+    _fireOutputTransformationEvent(dataTransfer, selection, method, { keepCutContent = false } = {}) {
+        const editor = this.editor;
+        const context = editor.context;
+        const content = editor.model.getSelectedContent(selection);
+        // The model content is transferred only between the editors sharing the context. The markers intersecting
+        // with the selection must be recorded before the event is fired because the cut content is removed by the event handlers.
+        const markersSnapshot = context.editors.length > 1 ? getSelectedContentWithMarkersSnapshot(editor.model, selection) : null;
+        this._keepCutContent = keepCutContent;
+        try {
+            this.fire('outputTransformation', {
+                dataTransfer,
+                content,
+                method
+            });
+        }
+        finally {
+            this._keepCutContent = false;
+        }
+        if (context.editors.length > 1 && !content.isEmpty) {
+            const contentUid = uid();
+            dataTransfer.setData(MODEL_CONTENT_UID_TYPE, contentUid);
+            contextModelContents.set(context, { uid: contentUid, editor, content, markersSnapshot });
+        }
     }
     /**
      * The clipboard paste pipeline.
@@ -393,6 +498,27 @@ class ClipboardPipeline extends Plugin {
                 evt.stop();
             }
         }, { priority: 'highest' });
+        // Insert the model content transferred from another editor sharing the context. This listener must be added
+        // before the default one to take precedence over the HTML data.
+        this.listenTo(viewDocument, 'clipboardInput', (evt, data) => {
+            if (data.content || data.asPlainText) {
+                return;
+            }
+            const content = this._getTransferredModelContent(data.dataTransfer);
+            if (!content) {
+                return;
+            }
+            evt.stop();
+            model.change(() => {
+                this.fire('contentInsertion', {
+                    content,
+                    method: data.method,
+                    dataTransfer: data.dataTransfer,
+                    targetRanges: data.targetRanges
+                });
+            });
+            view.scrollToTheSelection();
+        }, { priority: 'low' });
         this.listenTo(viewDocument, 'clipboardInput', (evt, data) => {
             const dataTransfer = data.dataTransfer;
             let content;
@@ -437,6 +563,7 @@ class ClipboardPipeline extends Plugin {
             if (modelFragment.childCount == 0) {
                 return;
             }
+            const report = createContentLossReport(dataController.upcastDispatcher.conversionApi.consumable);
             evt.stop();
             // Fire content insertion event in a single change block to allow other handlers to run in the same block
             // without post-fixers called in between (i.e., the selection post-fixer).
@@ -448,11 +575,56 @@ class ClipboardPipeline extends Plugin {
                     targetRanges: data.targetRanges
                 });
             });
+            if (!report.isEmpty) {
+                this.fire('contentLoss', {
+                    report,
+                    method: data.method,
+                    dataTransfer: data.dataTransfer
+                });
+            }
         }, { priority: 'low' });
         this.listenTo(this, 'contentInsertion', (evt, data) => {
             data.resultRange = model.insertContent(data.content);
         }, { priority: 'low' });
     }
+    /**
+     * Returns a copy of the model content copied or dragged from another editor sharing the context, or `null` if the data transfer
+     * does not contain such content or this editor's schema does not allow it.
+     */
+    _getTransferredModelContent(dataTransfer) {
+        const editor = this.editor;
+        const transferred = contextModelContents.get(editor.context);
+        const contentUid = dataTransfer.getData(MODEL_CONTENT_UID_TYPE);
+        if (!transferred || !contentUid || transferred.uid != contentUid || transferred.editor == editor) {
+            return null;
+        }
+        // The content is built anew on every paste because the insertion moves the nodes out of the document fragment
+        // and the same content can be pasted multiple times.
+        return editor.model.change(writer => {
+            let content;
+            if (transferred.markersSnapshot) {
+                content = restoreSelectedContentWithMarkers(editor.model, writer, transferred.markersSnapshot);
+            }
+            else {
+                content = writer.createDocumentFragment();
+                for (const child of transferred.content.getChildren()) {
+                    writer.append(child.is('$text') ? writer.createText(child.data, child.getAttributes()) : writer.cloneElement(child), content);
+                }
+            }
+            if (!isContentAllowed(editor.model, content)) {
+                return null;
+            }
+            // The markers already existing in this editor (e.g. when the same content is pasted again) are renamed
+            // because the marker names must be unique in the document.
+            for (const [name, range] of Array.from(content.markers)) {
+                if (editor.model.markers.has(name)) {
+                    content.markers.delete(name);
+                    content.markers.set(`${name}:${uid()}`, range);
+                }
+            }
+            return content;
+        });
+    }
     /**
      * The clipboard copy/cut pipeline.
      */
@@ -489,14 +661,114 @@ class ClipboardPipeline extends Plugin {
             if (!data.content.isEmpty) {
                 data.dataTransfer.setData('text/html', this.editor.data.htmlProcessor.toData(data.content));
                 data.dataTransfer.setData('text/plain', viewToPlainText(data.content));
+                for (const [type, converter] of this._outputFlavors) {
+                    data.dataTransfer.setData(type, converter(data.content, data));
+                }
             }
-            if (data.method == 'cut') {
+            if (data.method == 'cut' && !this._keepCutContent) {
                 editor.model.deleteContent(modelDocument.selection);
             }
         }, { priority: 'low' });
     }
 }
 
+/**
+ * Records the parts of the markers that intersect with the selection together with the minimal flat subtree containing
+ * the selection, or returns `null` if no marker intersects with the selection.
+ *
+ * The subtree is serialized to JSON and the boundaries are stored as paths relative to it, so the snapshot is taken
+ * without modifying the model. The document fragment is built from it by {@link ~restoreSelectedContentWithMarkers}
+ * only when the content is pasted.
+ */
+function getSelectedContentWithMarkersSnapshot(model, selection) {
+    const range = selection.getFirstRange();
+    const markers = range && !range.isCollapsed ? Array.from(model.markers)
+        .filter(marker => marker.affectsData)
+        .map(marker => ({ name: marker.name, range: marker.getRange().getIntersection(range) }))
+        .filter(({ range }) => range) : [];
+    if (!markers.length) {
+        return null;
+    }
+    const commonPath = range.start.getCommonPath(range.end);
+    const commonParent = range.root.getNodeByPath(commonPath);
+    const startOffset = range.start.path[commonPath.length];
+    const endOffset = Math.min(range.end.path[commonPath.length] + 1, commonParent.maxOffset);
+    const subtreeRange = model.createRange(model.createPositionAt(commonParent, startOffset), model.createPositionAt(commonParent, endOffset));
+    const toSubtreePath = position => [position.path[commonPath.length] - startOffset, ...position.path.slice(commonPath.length + 1)];
+    return {
+        nodes: Array.from(subtreeRange.getItems({ shallow: true }))
+            .map(item => item.is('$textProxy') ? { data: item.data, attributes: Object.fromEntries(item.getAttributes()) } : item.toJSON()),
+        start: toSubtreePath(range.start),
+        end: toSubtreePath(range.end),
+        markers: markers.map(({ name, range }) => ({ name, start: toSubtreePath(range.start), end: toSubtreePath(range.end) }))
+    };
+}
+/**
+ * Returns the content recorded by {@link ~getSelectedContentWithMarkersSnapshot} like
+ * {@link module:engine/model/model~Model#getSelectedContent `model#getSelectedContent()`} does, with the recorded markers
+ * added to the {@link module:engine/model/documentfragment~DocumentFragment#markers document fragment markers}.
+ *
+ * The marker boundaries are temporarily represented with the `$marker` elements inserted into the restored subtree,
+ * so their positions are updated together with the rest of the content when the selected content is retrieved.
+ */
+function restoreSelectedContentWithMarkers(model, writer, snapshot) {
+    const subtree = DocumentFragment.fromJSON(snapshot.nodes);
+    // The boundaries in the document order. The selection boundaries enclose the marker boundaries at the same positions.
+    const boundaries = [{ position: writer.createPositionFromPath(subtree, snapshot.start), name: null }];
+    for (const { name, start, end } of snapshot.markers) {
+        boundaries.push({ position: writer.createPositionFromPath(subtree, start), name, type: 'start' }, { position: writer.createPositionFromPath(subtree, end), name, type: 'end' });
+    }
+    boundaries.push({ position: writer.createPositionFromPath(subtree, snapshot.end), name: null });
+    const sortedBoundaries = boundaries
+        .map((boundary, index) => ({ ...boundary, index }))
+        .sort((a, b) => {
+        const relation = a.position.compareWith(b.position);
+        return relation == 'same' ? a.index - b.index : (relation == 'before' ? -1 : 1);
+    });
+    // Insert the fake elements starting from the end so the positions of the remaining boundaries stay valid.
+    const fakeElements = [];
+    for (const { position, name, type } of sortedBoundaries.reverse()) {
+        const fakeElement = writer.createElement('$marker', name ? { 'data-name': name, 'data-type': type } : {});
+        writer.insert(fakeElement, position);
+        fakeElements.unshift(fakeElement);
+    }
+    const subtreeRange = writer.createRange(writer.createPositionAfter(fakeElements[0]), writer.createPositionBefore(fakeElements[fakeElements.length - 1]));
+    const content = model.getSelectedContent(writer.createSelection(subtreeRange));
+    // Replace the fake elements with the markers.
+    const markerBoundaries = new Map();
+    for (const fakeElement of Array.from(writer.createRangeIn(content).getItems()).filter(item => item.is('element', '$marker'))) {
+        const name = fakeElement.getAttribute('data-name');
+        const position = writer.createPositionBefore(fakeElement);
+        writer.remove(fakeElement);
+        markerBoundaries.set(name, { ...markerBoundaries.get(name), [fakeElement.getAttribute('data-type')]: position });
+    }
+    for (const [name, { start, end }] of markerBoundaries) {
+        content.markers.set(name, writer.createRange(start, end));
+    }
+    return content;
+}
+/**
+ * Checks whether all elements and attributes of the document fragment are allowed by the model schema.
+ */
+function isContentAllowed(model, documentFragment) {
+    const schema = model.schema;
+    for (const item of model.createRangeIn(documentFragment).getItems()) {
+        if (item.is('element') && !schema.isRegistered(item.name)) {
+            return false;
+        }
+        // The top-level items are checked when the content is inserted.
+        if (item.parent.is('element') && !schema.checkChild(item.parent, item)) {
+            return false;
+        }
+        for (const key of item.getAttributeKeys()) {
+            if (!schema.checkAttribute(item, key)) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
@@ -561,6 +833,10 @@ class DragDropTarget extends Plugin {
          * @internal
          */
         this.removeDropMarkerDelayed = delay(() => this.removeDropMarker(), 40);
+        /**
+         * A delayed callback removing the drop marker displayed by {@link #showDropMarker}.
+         */
+        this._removeDropMarkerFeedbackDelayed = delay(() => this.removeDropMarker(), 1000);
         /**
          * A throttled callback updating the drop marker.
          */
@@ -608,6 +884,7 @@ class DragDropTarget extends Plugin {
         }
         this._updateDropMarkerThrottled.cancel();
         this.removeDropMarkerDelayed.cancel();
+        this._removeDropMarkerFeedbackDelayed.cancel();
         this._reconvertMarkerThrottled.cancel();
         return super.destroy();
     }
@@ -641,6 +918,18 @@ class DragDropTarget extends Plugin {
         this.removeDropMarker();
         return targetRange;
     }
+    /**
+     * Displays the drop marker at the given range for a moment, for example, to indicate where the content
+     * was moved without dragging it.
+     *
+     * @internal
+     */
+    showDropMarker(targetRange) {
+        this.removeDropMarkerDelayed.cancel();
+        this._updateDropMarkerThrottled.cancel();
+        this._updateDropMarker(targetRange);
+        this._removeDropMarkerFeedbackDelayed();
+    }
     /**
      * Removes the drop target marker.
      *
@@ -649,6 +938,7 @@ class DragDropTarget extends Plugin {
     removeDropMarker() {
         const model = this.editor.model;
         this.removeDropMarkerDelayed.cancel();
+        this._removeDropMarkerFeedbackDelayed.cancel();
         this._updateDropMarkerThrottled.cancel();
         this._dropTargetLineView.isVisible = false;
         if (model.markers.has('drop-target')) {
@@ -910,6 +1200,93 @@ function findScrollableElement(domNode) {
     return domElement;
 }
 
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module clipboard/moveblockcommand
+ */
+/**
+ * The move block command. It is registered by the {@link module:clipboard/dragdropblocktoolbar~DragDropBlockToolbar}
+ * as `'moveBlockUp'` and `'moveBlockDown'`.
+ *
+ * It moves the selected blocks (or the selected block widget) before their previous sibling or after their next sibling:
+ *
+ * ```ts
+ * editor.execute( 'moveBlockUp' );
+ * ```
+ *
+ * All selected blocks are moved in a single change so the move can be undone in a single step.
+ */
+class MoveBlockCommand extends Command {
+    /**
+     * Creates an instance of the command.
+     *
+     * @param editor The editor instance.
+     * @param direction The direction of the move.
+     */
+    constructor(editor, direction) {
+        super(editor);
+        this._direction = direction;
+    }
+    /**
+     * @inheritDoc
+     */
+    refresh() {
+        const model = this.editor.model;
+        const movedRange = getMovedBlocksRange(model);
+        this.isEnabled = !!movedRange && !!this._getSibling(movedRange) && model.canEditAt(movedRange);
+    }
+    /**
+     * Executes the command.
+     *
+     * @fires execute
+     */
+    execute() {
+        const model = this.editor.model;
+        const movedRange = getMovedBlocksRange(model);
+        const sibling = this._getSibling(movedRange);
+        model.change(writer => {
+            const targetPosition = this._direction == 'up' ? writer.createPositionBefore(sibling) : writer.createPositionAfter(sibling);
+            // The document selection follows the moved content.
+            writer.move(movedRange, targetPosition);
+        });
+    }
+    /**
+     * Returns the sibling the blocks from the given range will be moved over.
+     */
+    _getSibling(movedRange) {
+        return this._direction == 'up' ? movedRange.start.nodeBefore : movedRange.end.nodeAfter;
+    }
+}
+/**
+ * Returns the range containing the selected blocks or the selected block widget. If the selected blocks
+ * have different parents, the range contains their ancestors that are the children of the common ancestor.
+ */
+function getMovedBlocksRange(model) {
+    const selection = model.document.selection;
+    const selectedElement = selection.getSelectedElement();
+    const blocks = selectedElement && model.schema.isBlock(selectedElement) ?
+        [selectedElement] :
+        Array.from(selection.getSelectedBlocks());
+    if (!blocks.length) {
+        return null;
+    }
+    let first = blocks[0];
+    let last = blocks[blocks.length - 1];
+    if (first != last) {
+        const commonAncestor = first.getCommonAncestor(last);
+        while (first.parent != commonAncestor) {
+            first = first.parent;
+        }
+        while (last.parent != commonAncestor) {
+            last = last.parent;
+        }
+    }
+    return model.createRange(model.createPositionBefore(first), model.createPositionAfter(last));
+}
+
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
@@ -920,6 +1297,10 @@ function findScrollableElement(domNode) {
 /**
  * Integration of a block Drag and Drop support with the block toolbar.
  *
+ * It also registers the `'moveBlockUp'` and `'moveBlockDown'` {@link module:clipboard/moveblockcommand~MoveBlockCommand commands}
+ * that allow reordering the blocks with the keyboard (<kbd>Alt</kbd>+<kbd>Shift</kbd>+<kbd>Arrow Up</kbd> and
+ * <kbd>Alt</kbd>+<kbd>Shift</kbd>+<kbd>Arrow Down</kbd>).
+ *
  * @internal
  */
 class DragDropBlockToolbar extends Plugin {
@@ -957,6 +1338,7 @@ class DragDropBlockToolbar extends Plugin {
         if (env.isAndroid) {
             this.forceDisabled('noAndroidSupport');
         }
+        this._setupMoveBlockCommands();
         if (editor.plugins.has('BlockToolbar')) {
             const blockToolbar = editor.plugins.get('BlockToolbar');
             const element = blockToolbar.buttonView.element;
@@ -979,6 +1361,37 @@ class DragDropBlockToolbar extends Plugin {
         this._domEmitter.stopListening();
         return super.destroy();
     }
+    /**
+     * Registers the commands moving the selected blocks with the keyboard and displays the drop marker
+     * where the blocks were moved.
+     */
+    _setupMoveBlockCommands() {
+        const editor = this.editor;
+        const t = editor.t;
+        const moveBlockUpCommand = new MoveBlockCommand(editor, 'up');
+        const moveBlockDownCommand = new MoveBlockCommand(editor, 'down');
+        editor.commands.add('moveBlockUp', moveBlockUpCommand);
+        editor.commands.add('moveBlockDown', moveBlockDownCommand);
+        editor.keystrokes.set('Alt+Shift+ArrowUp', 'moveBlockUp');
+        editor.keystrokes.set('Alt+Shift+ArrowDown', 'moveBlockDown');
+        editor.accessibility.addKeystrokeInfos({
+            keystrokes: [
+                { label: t('Move the selected blocks up'), commandName: 'moveBlockUp' },
+                { label: t('Move the selected blocks down'), commandName: 'moveBlockDown' }
+            ]
+        });
+        if (!editor.plugins.has('DragDropTarget')) {
+            return;
+        }
+        const dragDropTarget = editor.plugins.get('DragDropTarget');
+        for (const [command, edge] of [[moveBlockUpCommand, 'start'], [moveBlockDownCommand, 'end']]) {
+            // Mark the edge of the moved blocks the same way the drop target is marked while dragging them.
+            this.listenTo(command, 'execute', () => {
+                const movedRange = getMovedBlocksRange(editor.model);
+                dragDropTarget.showDropMarker(editor.model.createRange(movedRange[edge]));
+            }, { priority: 'low' });
+        }
+    }
     /**
      * The `dragstart` event handler.
      */
@@ -1598,6 +2011,77 @@ function getRangeIncludingFullySelectedParents(model, elements) {
     return model.createRange(startPosition, endPosition);
 }
 
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module clipboard/pasteplaintextcommand
+ */
+/**
+ * The paste as plain text command. It pastes the text through the clipboard pipeline dropping its formatting
+ * and keeping the attributes of the selection.
+ *
+ * ```ts
+ * // Pastes the given text.
+ * editor.execute( 'pastePlainText', { text: 'Foo bar' } );
+ *
+ * // Reads the text from the system clipboard (requires the user's permission) and pastes it.
+ * editor.execute( 'pastePlainText' );
+ * ```
+ */
+class PastePlainTextCommand extends Command {
+    /**
+     * @inheritDoc
+     */
+    refresh() {
+        const model = this.editor.model;
+        this.isEnabled = model.canEditAt(model.document.selection);
+    }
+    /**
+     * Executes the command.
+     *
+     * @param options Command options.
+     * @param options.text The text to paste. If not set, the text is read from the system clipboard.
+     * @returns A promise resolved once the text from the system clipboard was pasted or `undefined`
+     * if the `text` option was passed. The promise is rejected if the system clipboard could not be read,
+     * for instance, because the user denied the permission.
+     * @fires execute
+     */
+    execute(options = {}) {
+        if (typeof options.text == 'string') {
+            this._paste(options.text);
+            return;
+        }
+        const clipboard = global.window.navigator.clipboard;
+        if (!clipboard || !clipboard.readText) {
+            /**
+             * The text cannot be read from the system clipboard because the browser does not support
+             * the asynchronous clipboard API (or the page is not served in a secure context).
+             * Pass the text to paste in the `text` option of the `'pastePlainText'` command instead.
+             *
+             * @error pasteplaintextcommand-clipboard-api-unavailable
+             */
+            return Promise.reject(new CKEditorError('pasteplaintextcommand-clipboard-api-unavailable', this));
+        }
+        return clipboard.readText().then(text => this._paste(text));
+    }
+    /**
+     * Fires the {@link module:engine/view/document~Document#event:clipboardInput `clipboardInput`} event with
+     * the `text/plain` data only.
+     */
+    _paste(text) {
+        const viewDocument = this.editor.editing.view.document;
+        const nativeDataTransfer = new global.window.DataTransfer();
+        nativeDataTransfer.setData('text/plain', text);
+        viewDocument.fire('clipboardInput', {
+            dataTransfer: new DataTransfer(nativeDataTransfer),
+            method: 'paste',
+            asPlainText: true
+        });
+    }
+}
+
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
@@ -1609,6 +2093,10 @@ function getRangeIncludingFullySelectedParents(model, elements) {
  * The plugin detects the user's intention to paste plain text.
  *
  * For example, it detects the <kbd>Ctrl/Cmd</kbd> + <kbd>Shift</kbd> + <kbd>V</kbd> keystroke.
+ *
+ * It also registers the {@link module:clipboard/pasteplaintextcommand~PastePlainTextCommand `'pastePlainText'`} command
+ * and the "always paste as plain text" mode (see {@link #isPlainTextMode}) in which all the pasted content
+ * is treated as plain text.
  */
 class PastePlainText extends Plugin {
     /**
@@ -1623,6 +2111,21 @@ class PastePlainText extends Plugin {
     static get requires() {
         return [ClipboardPipeline];
     }
+    /**
+     * @inheritDoc
+     */
+    constructor(editor) {
+        super(editor);
+        editor.config.define('clipboard.alwaysPastePlainText', false);
+        /**
+         * Whether all the pasted content is treated as plain text ("always paste as plain text" mode).
+         *
+         * The initial value is read from the `clipboard.alwaysPastePlainText` configuration option.
+         *
+         * @observable
+         */
+        this.set('isPlainTextMode', !!editor.config.get('clipboard.alwaysPastePlainText'));
+    }
     /**
      * @inheritDoc
      */
@@ -1632,15 +2135,33 @@ class PastePlainText extends Plugin {
         const view = editor.editing.view;
         const viewDocument = view.document;
         const selection = model.document.selection;
+        // Data transfers of the content pasted as plain text on purpose.
+        const plainTextDataTransfers = new WeakSet();
         let shiftPressed = false;
         view.addObserver(ClipboardObserver);
+        editor.commands.add('pastePlainText', new PastePlainTextCommand(editor));
         this.listenTo(viewDocument, 'keydown', (evt, data) => {
             shiftPressed = data.shiftKey;
         });
+        // Drop the HTML data so the content goes through the plain text path of the clipboard pipeline.
+        // Some feature could already inject content in the higher priority event handler (i.e., codeBlock).
+        this.listenTo(viewDocument, 'clipboardInput', (evt, data) => {
+            if (data.content || !(data.asPlainText || this.isPlainTextMode && data.method == 'paste')) {
+                return;
+            }
+            const dataTransfer = data.dataTransfer;
+            let text = dataTransfer.getData('text/plain');
+            // Fall back to the text content of the HTML data if there is no plain text version of the content.
+            if (!text && dataTransfer.getData('text/html')) {
+                text = viewToPlainText(editor.data.htmlProcessor.toView(normalizeClipboardData(dataTransfer.getData('text/html'))));
+            }
+            data.content = editor.data.htmlProcessor.toView(plainTextToHtml(text));
+            plainTextDataTransfers.add(dataTransfer);
+        });
         editor.plugins.get(ClipboardPipeline).on('contentInsertion', (evt, data) => {
             // Plain text can be determined based on the event flag (#7799) or auto-detection (#1006). If detected,
             // preserve selection attributes on pasted items.
-            if (!shiftPressed && !isPlainTextFragment(data.content, model.schema)) {
+            if (!shiftPressed && !plainTextDataTransfers.has(data.dataTransfer) && !isPlainTextFragment(data.content, model.schema)) {
                 return;
             }
             model.change(writer => {
@@ -1678,6 +2199,696 @@ function isPlainTextFragment(documentFragment, schema) {
     return Array.from(child.getAttributeKeys()).length == 0;
 }
 
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module clipboard/pasteplaintextui
+ */
+/**
+ * The paste as plain text UI plugin. It introduces the `'pastePlainText'` toolbar button which toggles
+ * the {@link module:clipboard/pasteplaintext~PastePlainText#isPlainTextMode "always paste as plain text" mode}.
+ */
+class PastePlainTextUI extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'PastePlainTextUI';
+    }
+    /**
+     * @inheritDoc
+     */
+    static get requires() {
+        return [PastePlainText];
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        const editor = this.editor;
+        const pastePlainText = editor.plugins.get(PastePlainText);
+        editor.ui.componentFactory.add('pastePlainText', locale => {
+            const view = new ButtonView(locale);
+            const t = locale.t;
+            view.set({
+                label: t('Paste as plain text'),
+                withText: true,
+                tooltip: true,
+                isToggleable: true
+            });
+            view.bind('isOn').to(pastePlainText, 'isPlainTextMode');
+            view.bind('isEnabled').to(editor.commands.get('pastePlainText'));
+            this.listenTo(view, 'execute', () => {
+                pastePlainText.isPlainTextMode = !pastePlainText.isPlainTextMode;
+                editor.editing.view.focus();
+            });
+            return view;
+        });
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module clipboard/normalizers/mswordnormalizer
+ */
+const msWordMatch1 = /<meta\s*name="?generator"?\s*content="?microsoft\s*word\s*\d+"?\/?>/i;
+const msWordMatch2 = /xmlns:o="urn:schemas-microsoft-com/i;
+/**
+ * Normalizer for the content pasted from Microsoft Word.
+ */
+class MSWordNormalizer {
+    /**
+     * Creates a new `MSWordNormalizer` instance.
+     *
+     * @param document View document.
+     */
+    constructor(document) {
+        this.document = document;
+    }
+    /**
+     * @inheritDoc
+     */
+    isActive(htmlString) {
+        return msWordMatch1.test(htmlString) || msWordMatch2.test(htmlString);
+    }
+    /**
+     * @inheritDoc
+     */
+    execute(data) {
+        const writer = new UpcastWriter(this.document);
+        transformListItemLikeElements(data.content, writer);
+        removeOfficeMarkup(data.content, writer);
+    }
+}
+/**
+ * Transforms Word specific list-like elements (paragraphs with the `mso-list` style) into view lists.
+ * Consecutive list-like elements are grouped into a single list. Nested levels create lists inside the last item
+ * of the parent list.
+ */
+function transformListItemLikeElements(documentFragment, writer) {
+    const itemLikeElements = Array.from(writer.createRangeIn(documentFragment).getItems())
+        .filter(item => isListItemLikeElement(item));
+    let stack = [];
+    let previousElement = null;
+    for (const element of itemLikeElements) {
+        const level = getListItemLevel(element);
+        const type = getListType(element, writer);
+        // A list-like element which does not directly follow the previous one starts a new list.
+        if (!previousElement || getPreviousNonEmptySibling(element) !== previousElement) {
+            stack = [];
+        }
+        stack = stack.slice(0, level);
+        if (stack.length == level && stack[level - 1].name != type) {
+            stack.pop();
+        }
+        while (stack.length < level) {
+            const list = writer.createElement(type);
+            const parentList = stack[stack.length - 1];
+            if (parentList) {
+                // The last item of the parent list holds the nested list.
+                let parentItem = parentList.getChild(parentList.childCount - 1);
+                if (!parentItem) {
+                    parentItem = writer.createElement('li');
+                    writer.appendChild(parentItem, parentList);
+                }
+                writer.appendChild(list, parentItem);
+            }
+            else {
+                writer.insertChild(element.index, list, element.parent);
+            }
+            stack.push(list);
+        }
+        const listItem = writer.createElement('li', null, Array.from(element.getChildren()));
+        writer.appendChild(listItem, stack[stack.length - 1]);
+        writer.remove(element);
+        previousElement = stack[0];
+    }
+}
+/**
+ * Checks whether the given item is a Word list-like paragraph, i.e. it has the `mso-list` style other than
+ * `mso-list: Ignore` (which marks the bullet or number of the list item).
+ */
+function isListItemLikeElement(item) {
+    if (!item.is('element') || item.name == 'li' || !item.hasStyle('mso-list')) {
+        return false;
+    }
+    return /level\d+/i.test(item.getStyle('mso-list'));
+}
+/**
+ * Returns the 1-based nesting level of the list-like element (from `mso-list: l0 level2 lfo1`).
+ */
+function getListItemLevel(element) {
+    const match = element.getStyle('mso-list').match(/level(\d+)/i);
+    return Math.max(parseInt(match[1]), 1);
+}
+/**
+ * Returns the type of the list (`'ol'` or `'ul'`) based on the marker Word puts before the list item content.
+ * The marker element is removed.
+ */
+function getListType(element, writer) {
+    const marker = Array.from(writer.createRangeIn(element).getItems())
+        .find(item => item.is('element') && item.hasStyle('mso-list') && /ignore/i.test(item.getStyle('mso-list')));
+    if (!marker) {
+        return 'ul';
+    }
+    const markerText = Array.from(writer.createRangeIn(marker).getItems())
+        .filter(item => item.is('$textProxy'))
+        .map(item => item.data)
+        .join('')
+        .replace(/\u00a0/g, '')
+        .trim();
+    writer.remove(marker);
+    return /^(\d+|[a-z]|[ivxlcdm]+)[.)]$/i.test(markerText) ? 'ol' : 'ul';
+}
+/**
+ * Returns the previous sibling of the element, skipping whitespace-only text nodes.
+ */
+function getPreviousNonEmptySibling(element) {
+    let sibling = element.previousSibling;
+    while (sibling && sibling.is('$text') && !sibling.data.trim()) {
+        sibling = sibling.previousSibling;
+    }
+    return sibling;
+}
+/**
+ * Removes the Office specific markup: the `<o:p>` and other namespaced elements, `mso-*` styles,
+ * `Mso*` classes and the `<span>` elements that are left without any attributes.
+ */
+function removeOfficeMarkup(documentFragment, writer) {
+    const elements = Array.from(writer.createRangeIn(documentFragment).getItems())
+        .filter(item => item.is('element'));
+    for (const element of elements) {
+        const [namespace] = element.name.split(':');
+        // Word adds `<o:p>&nbsp;</o:p>` at the end of paragraphs. It only matters if the paragraph would be empty otherwise.
+        if (element.name == 'o:p') {
+            if (isBlankElement(element) && element.parent && element.parent.childCount > 1) {
+                writer.remove(element);
+            }
+            else {
+                writer.unwrapElement(element);
+            }
+            continue;
+        }
+        // Namespaced elements like `<v:shape>` or `<o:wrapblock>` are used to render drawings which cannot be pasted.
+        if (namespace != element.name) {
+            if (namespace == 'v' || namespace == 'o') {
+                writer.remove(element);
+            }
+            else {
+                writer.unwrapElement(element);
+            }
+            continue;
+        }
+        const msoStyles = element.getStyleNames().filter(name => name.startsWith('mso-'));
+        if (msoStyles.length) {
+            writer.removeStyle(msoStyles, element);
+        }
+        for (const className of Array.from(element.getClassNames())) {
+            if (className.startsWith('Mso')) {
+                writer.removeClass(className, element);
+            }
+        }
+        if (element.name == 'span' && !Array.from(element.getAttributeKeys()).length) {
+            writer.unwrapElement(element);
+        }
+    }
+}
+
+/**
+ * Checks whether the element contains only whitespace characters.
+ */
+function isBlankElement(element) {
+    return Array.from(element.getChildren()).every(child => child.is('$text') && !child.data.replace(/\u00a0/g, ' ').trim());
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module clipboard/normalizers/googledocsnormalizer
+ */
+const googleDocsMatch = /id=("|')docs-internal-guid-[-0-9a-f]+("|')/i;
+// Styles that Google Docs puts on every piece of text. They carry no formatting so they are removed.
+const googleDocsDefaultStyles = {
+    'vertical-align': ['baseline'],
+    'font-weight': ['400', 'normal'],
+    'font-style': ['normal'],
+    'font-variant': ['normal'],
+    'font-variant-east-asian': ['normal'],
+    'font-variant-alternates': ['normal'],
+    'font-variant-numeric': ['normal'],
+    'font-variant-position': ['normal'],
+    'text-decoration': ['none'],
+    'text-decoration-skip-ink': ['none'],
+    'background-color': ['transparent'],
+    'white-space': ['pre-wrap']
+};
+// Styles that Google Docs uses instead of the semantic formatting elements.
+const googleDocsFormattingStyles = [
+    { style: 'font-weight', values: ['700', 'bold'], element: 'strong' },
+    { style: 'font-style', values: ['italic'], element: 'i' },
+    { style: 'text-decoration', values: ['underline'], element: 'u' },
+    { style: 'text-decoration', values: ['line-through'], element: 's' },
+    { style: 'vertical-align', values: ['super'], element: 'sup' },
+    { style: 'vertical-align', values: ['sub'], element: 'sub' }
+];
+/**
+ * Normalizer for the content pasted from Google Docs.
+ */
+class GoogleDocsNormalizer {
+    /**
+     * Creates a new `GoogleDocsNormalizer` instance.
+     *
+     * @param document View document.
+     */
+    constructor(document) {
+        this.document = document;
+    }
+    /**
+     * @inheritDoc
+     */
+    isActive(htmlString) {
+        return googleDocsMatch.test(htmlString);
+    }
+    /**
+     * @inheritDoc
+     */
+    execute(data) {
+        const writer = new UpcastWriter(this.document);
+        const elements = Array.from(writer.createRangeIn(data.content).getItems())
+            .filter(item => item.is('element'));
+        for (const element of elements) {
+            // Google Docs wraps the whole content with `<b style="font-weight:normal" id="docs-internal-guid-...">`.
+            if (element.name == 'b' && /^docs-internal-guid-/.test(element.getAttribute('id') || '')) {
+                writer.unwrapElement(element);
+            }
+            else if (element.name == 'br' && element.hasClass('Apple-interchange-newline')) {
+                writer.remove(element);
+            }
+            else if (element.name == 'span') {
+                transformFormattingSpan(element, writer);
+            }
+            // List items and table cells contain a single paragraph that would otherwise add an empty line.
+            else if (element.name == 'p' && element.parent && ['li', 'td', 'th'].includes(element.parent.name) &&
+                element.parent.childCount == 1) {
+                writer.unwrapElement(element);
+            }
+            // Tables are wrapped with `<div dir="ltr">`.
+            else if (element.name == 'div' && element.childCount == 1 && element.getChild(0).is('element', 'table')) {
+                writer.unwrapElement(element);
+            }
+        }
+    }
+}
+/**
+ * Replaces the formatting styles of the Google Docs `<span>` with the semantic formatting elements and removes
+ * the styles that carry no formatting. The `<span>` is unwrapped if it is left without any attributes.
+ */
+function transformFormattingSpan(span, writer) {
+    const wrappers = [];
+    for (const { style, values, element } of googleDocsFormattingStyles) {
+        if (span.hasStyle(style) && values.includes(span.getStyle(style))) {
+            wrappers.push(writer.createElement(element));
+            writer.removeStyle(style, span);
+        }
+    }
+    for (const [style, values] of Object.entries(googleDocsDefaultStyles)) {
+        if (span.hasStyle(style) && values.includes(span.getStyle(style))) {
+            writer.removeStyle(style, span);
+        }
+    }
+    // Nest the formatting elements one in another and move the span content into the innermost one.
+    if (wrappers.length) {
+        const innermost = wrappers.reduce((parent, wrapper) => {
+            writer.appendChild(wrapper, parent);
+            return wrapper;
+        });
+        writer.appendChild(Array.from(span.getChildren()), innermost);
+        writer.appendChild(wrappers[0], span);
+    }
+    if (!span.getStyleNames().length) {
+        writer.removeAttribute('style', span);
+    }
+    if (!Array.from(span.getAttributeKeys()).length) {
+        writer.unwrapElement(span);
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module clipboard/pastefromoffice
+ */
+/**
+ * The paste from office plugin.
+ *
+ * This plugin handles content pasted from office applications and transforms it (if necessary)
+ * to a valid structure which can then be understood by the editor features.
+ *
+ * The content is normalized in the {@link module:clipboard/clipboardpipeline~ClipboardPipeline#event:inputTransformation
+ * `inputTransformation`} event with the `high` priority. The normalizer that handled the content is available
+ * in the `data.pasteFromOfficeNormalizer` property of the event data.
+ *
+ * The plugin supports Microsoft Word and Google Docs out of the box. Other sources can be supported by
+ * {@link #registerNormalizer registering} additional normalizers.
+ */
+class PasteFromOffice extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'PasteFromOffice';
+    }
+    /**
+     * @inheritDoc
+     */
+    static get requires() {
+        return [ClipboardPipeline];
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        const editor = this.editor;
+        const clipboardPipeline = editor.plugins.get(ClipboardPipeline);
+        const viewDocument = editor.editing.view.document;
+        this._normalizers = [];
+        this.registerNormalizer(new MSWordNormalizer(viewDocument));
+        this.registerNormalizer(new GoogleDocsNormalizer(viewDocument));
+        this.listenTo(clipboardPipeline, 'inputTransformation', (evt, data) => {
+            if (data.pasteFromOfficeNormalizer || !data.dataTransfer) {
+                return;
+            }
+            const htmlString = data.dataTransfer.getData('text/html');
+            const activeNormalizer = this._normalizers.find(normalizer => normalizer.isActive(htmlString));
+            if (activeNormalizer) {
+                activeNormalizer.execute(data);
+                data.pasteFromOfficeNormalizer = activeNormalizer;
+            }
+        }, { priority: 'high' });
+    }
+    /**
+     * Registers a normalizer for the content pasted from another source. Normalizers are checked in the order
+     * of registration and only the first active one is executed.
+     *
+     * A normalizer is an object with two methods:
+     *
+     * * `isActive( htmlString )` &ndash; returns `true` if the pasted HTML comes from the source it handles,
+     * * `execute( data )` &ndash; modifies the `data.content` view document fragment of the `inputTransformation` event.
+     *
+     * @param normalizer The normalizer to register.
+     */
+    registerNormalizer(normalizer) {
+        this._normalizers.push(normalizer);
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module clipboard/copyasmarkdowncommand
+ */
+/**
+ * The copy as Markdown command. It copies the selected content to the system clipboard as Markdown text, so it can be
+ * pasted e.g. to a GitHub comment or a Slack message.
+ *
+ * If the `text/markdown` {@link module:clipboard/clipboardpipeline~ClipboardPipeline#registerOutputFlavor output flavor}
+ * was registered, it is used to convert the content. Otherwise, the
+ * {@link module:engine/dataprocessor/markdowndataprocessor~MarkdownDataProcessor} is used.
+ *
+ * ```ts
+ * editor.execute( 'copyAsMarkdown' ).then( () => {
+ * 	console.log( 'Copied!' );
+ * } );
+ * ```
+ */
+class CopyAsMarkdownCommand extends Command {
+    /**
+     * @inheritDoc
+     */
+    constructor(editor) {
+        super(editor);
+        // Copying does not change the data so it should be possible in read-only mode.
+        this.affectsData = false;
+        this._isEnabledBasedOnSelection = false;
+    }
+    /**
+     * @inheritDoc
+     */
+    refresh() {
+        this.isEnabled = !this.editor.model.document.selection.isCollapsed;
+    }
+    /**
+     * Executes the command.
+     *
+     * @returns A promise resolved once the Markdown was written to the system clipboard. The promise is rejected
+     * if the system clipboard could not be written to, for instance, because the browser does not support it.
+     * @fires execute
+     */
+    execute() {
+        const editor = this.editor;
+        const clipboardPipeline = editor.plugins.get(ClipboardPipeline);
+        const content = editor.data.toView(editor.model.getSelectedContent(editor.model.document.selection));
+        const converter = clipboardPipeline.getOutputFlavor('text/markdown') || BUILT_IN_OUTPUT_FLAVORS['text/markdown'](editor);
+        const clipboard = global.window.navigator.clipboard;
+        if (!clipboard || !clipboard.writeText) {
+            /**
+             * The Markdown cannot be written to the system clipboard because the browser does not support
+             * the asynchronous clipboard API (or the page is not served in a secure context).
+             *
+             * @error copyasmarkdowncommand-clipboard-api-unavailable
+             */
+            return Promise.reject(new CKEditorError('copyasmarkdowncommand-clipboard-api-unavailable', this));
+        }
+        return clipboard.writeText(converter(content, { content, method: 'copy' }));
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module clipboard/copyasmarkdown
+ */
+/**
+ * The copy as Markdown feature. It registers the {@link module:clipboard/copyasmarkdowncommand~CopyAsMarkdownCommand
+ * `'copyAsMarkdown'`} command.
+ */
+class CopyAsMarkdown extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'CopyAsMarkdown';
+    }
+    /**
+     * @inheritDoc
+     */
+    static get requires() {
+        return [ClipboardPipeline];
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        this.editor.commands.add('copyAsMarkdown', new CopyAsMarkdownCommand(this.editor));
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module clipboard/clipboardcontextmenu
+ */
+/**
+ * The data types written to and read from the system clipboard by the context menu items.
+ */
+const CONTEXT_MENU_CLIPBOARD_TYPES = ['text/html', 'text/plain'];
+/**
+ * The clipboard context menu feature. It adds the "Cut", "Copy" and "Paste" items to the
+ * {@link module:ui/contextmenu/contextmenu~ContextMenu context menu}, and the "Copy as Markdown" and
+ * "Paste as plain text" items when the {@link module:clipboard/copyasmarkdown~CopyAsMarkdown} and
+ * {@link module:clipboard/pasteplaintext~PastePlainText} features are loaded.
+ *
+ * The content goes through the {@link module:clipboard/clipboardpipeline~ClipboardPipeline clipboard pipeline} like
+ * the content copied and pasted with the keyboard. The system clipboard is accessed with the asynchronous clipboard API,
+ * so pasting requires the user's permission.
+ */
+class ClipboardContextMenu extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'ClipboardContextMenu';
+    }
+    /**
+     * @inheritDoc
+     */
+    static get requires() {
+        return [ClipboardPipeline, ContextMenu];
+    }
+    /**
+     * @inheritDoc
+     */
+    afterInit() {
+        const editor = this.editor;
+        const model = editor.model;
+        const t = editor.t;
+        const contextMenu = editor.plugins.get(ContextMenu);
+        const isContentSelected = ({ selection }) => !selection.isCollapsed;
+        contextMenu.addItem({
+            id: 'cut',
+            label: t('Cut'),
+            keystroke: 'Ctrl+X',
+            group: 'clipboard',
+            isEnabled: context => isContentSelected(context) && model.canEditAt(context.selection),
+            onExecute: () => this._copy('cut').catch(error => this._handleError(error))
+        });
+        contextMenu.addItem({
+            id: 'copy',
+            label: t('Copy'),
+            keystroke: 'Ctrl+C',
+            group: 'clipboard',
+            isEnabled: isContentSelected,
+            onExecute: () => this._copy('copy').catch(error => this._handleError(error))
+        });
+        contextMenu.addItem({
+            id: 'paste',
+            label: t('Paste'),
+            keystroke: 'Ctrl+V',
+            group: 'clipboard',
+            isEnabled: ({ selection }) => model.canEditAt(selection),
+            onExecute: () => this._paste().catch(error => this._handleError(error))
+        });
+        // The items of the other clipboard features are displayed only when the features are loaded.
+        for (const [id, label, keystroke] of [
+            ['copyAsMarkdown', t('Copy as Markdown'), undefined],
+            ['pastePlainText', t('Paste as plain text'), 'Ctrl+Shift+V']
+        ]) {
+            contextMenu.addItem({
+                id,
+                label,
+                keystroke,
+                group: 'clipboard',
+                isVisible: () => !!editor.commands.get(id),
+                isEnabled: () => editor.commands.get(id).isEnabled,
+                // Both commands access the system clipboard asynchronously and return a promise.
+                onExecute: () => Promise.resolve()
+                    .then(() => editor.execute(id))
+                    .catch(error => this._handleError(error))
+            });
+        }
+    }
+    /**
+     * Copies (or cuts) the selected content through the clipboard pipeline and writes it to the system clipboard.
+     *
+     * When cutting, the content is removed from the editor only after it was written to the system clipboard,
+     * so it is not lost when the clipboard cannot be accessed.
+     *
+     * @param method The clipboard method: `'copy'` or `'cut'`.
+     * @returns A promise resolved once the content was written to the system clipboard.
+     */
+    _copy(method) {
+        const editor = this.editor;
+        const model = editor.model;
+        const ranges = Array.from(model.document.selection.getRanges()).map(range => LiveRange.fromRange(range));
+        return Promise.resolve()
+            .then(() => {
+                const nativeDataTransfer = new global.window.DataTransfer();
+                // The cut content is deleted below, once it is in the system clipboard.
+                editor.plugins.get(ClipboardPipeline)._fireOutputTransformationEvent(new DataTransfer(nativeDataTransfer), model.document.selection, method, { keepCutContent: true });
+                const clipboardItemData = {};
+                for (const type of CONTEXT_MENU_CLIPBOARD_TYPES) {
+                    if (nativeDataTransfer.getData(type)) {
+                        clipboardItemData[type] = new global.window.Blob([nativeDataTransfer.getData(type)], { type });
+                    }
+                }
+                return global.window.navigator.clipboard.write([new global.window.ClipboardItem(clipboardItemData)]);
+            })
+            .then(() => {
+                if (method == 'cut' && model.canEditAt(ranges)) {
+                    model.deleteContent(model.createSelection(ranges));
+                }
+            })
+            .finally(() => {
+                for (const range of ranges) {
+                    range.detach();
+                }
+            });
+    }
+    /**
+     * Reads the content of the system clipboard and fires the
+     * {@link module:engine/view/document~Document#event:clipboardInput `clipboardInput`} event with it.
+     *
+     * @returns A promise resolved once the content was pasted.
+     */
+    _paste() {
+        const viewDocument = this.editor.editing.view.document;
+        return Promise.resolve()
+            .then(() => global.window.navigator.clipboard.read())
+            .then(([clipboardItem]) => {
+                const types = clipboardItem ? CONTEXT_MENU_CLIPBOARD_TYPES.filter(type => clipboardItem.types.includes(type)) : [];
+                return Promise.all(types.map(type => clipboardItem.getType(type)
+                    .then(blob => blob.text())
+                    .then(data => [type, data])));
+            })
+            .then(entries => {
+                if (!entries.length) {
+                    return;
+                }
+                const nativeDataTransfer = new global.window.DataTransfer();
+                for (const [type, data] of entries) {
+                    nativeDataTransfer.setData(type, data);
+                }
+                viewDocument.fire('clipboardInput', {
+                    dataTransfer: new DataTransfer(nativeDataTransfer),
+                    method: 'paste'
+                });
+            });
+    }
+    /**
+     * Informs the user that the context menu item could not access the system clipboard, for instance,
+     * because the permission was denied or the browser does not support the asynchronous clipboard API.
+     *
+     * The warning is displayed with the {@link module:ui/notification/notification~Notification notification plugin}
+     * if it is loaded and logged in the console otherwise.
+     *
+     * @param error The error that occurred.
+     */
+    _handleError(error) {
+        const editor = this.editor;
+        if (editor.plugins.has('Notification')) {
+            const t = editor.t;
+            editor.plugins.get('Notification').showWarning(t('Could not access the clipboard.'), {
+                title: t('Clipboard error'),
+                namespace: 'clipboard'
+            });
+        }
+        else {
+            /**
+             * The clipboard context menu item could not access the system clipboard.
+             *
+             * @error clipboardcontextmenu-clipboard-access-failed
+             * @param error The error that occurred.
+             */
+            logWarning('clipboardcontextmenu-clipboard-access-failed', { error });
+        }
+    }
+}
+
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
@@ -1694,6 +2905,7 @@ function isPlainTextFragment(documentFragment, schema) {
  * * {@link module:clipboard/clipboardpipeline~ClipboardPipeline}
  * * {@link module:clipboard/dragdrop~DragDrop}
  * * {@link module:clipboard/pasteplaintext~PastePlainText}
+ * * {@link module:clipboard/pastefromoffice~PasteFromOffice}
  */
 class Clipboard extends Plugin {
     /**
@@ -1706,8 +2918,8 @@ class Clipboard extends Plugin {
      * @inheritDoc
      */
     static get requires() {
-        return [ClipboardPipeline, DragDrop, PastePlainText];
+        return [ClipboardPipeline, DragDrop, PastePlainText, PasteFromOffice];
     }
 }
 
-export { Clipboard, ClipboardPipeline, DragDrop, DragDropBlockToolbar, DragDropTarget, PastePlainText };
+export { Clipboard, ClipboardContextMenu, ClipboardPipeline, CopyAsMarkdown, CopyAsMarkdownCommand, DragDrop, DragDropBlockToolbar, DragDropTarget, GoogleDocsNormalizer, MSWordNormalizer, MoveBlockCommand, PasteFromOffice, PastePlainText, PastePlainTextCommand, PastePlainTextUI };
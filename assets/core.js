@@ -2,8 +2,8 @@
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
-import { ObservableMixin, insertToPriorityArray, EmitterMixin, CKEditorError, Config, Locale, Collection, KeystrokeHandler, setDataInElement } from '@ckeditor/ckeditor5-utils';
-import { Model, StylesProcessor, DataController, EditingController, Conversion } from '@ckeditor/ckeditor5-engine';
+import { ObservableMixin, insertToPriorityArray, EmitterMixin, CKEditorError, Config, Locale, Collection, KeystrokeHandler, setDataInElement, toArray, parseKeystrokeSequence, logWarning } from '@ckeditor/ckeditor5-utils';
+import { Model, StylesProcessor, DataController, EditingController, Conversion, HtmlSanitizer } from '@ckeditor/ckeditor5-engine';
 import { isFunction } from 'lodash-es';
 
 /**
@@ -1220,6 +1220,39 @@ class CommandCollection {
  * editor.keystrokes.set( 'Ctrl+Shift+Z', 'redo' );
  * editor.keystrokes.set( 'Ctrl+Y', 'redo' );
  * ```
+ *
+ * The keystrokes executing commands can be remapped by the integrators in the
+ * {@link module:core/editor/editorconfig~EditorConfig#keystrokes `config.keystrokes`} configuration and by the users
+ * at runtime with {@link #setCommandKeystrokes `setCommandKeystrokes()`}:
+ *
+ * ```ts
+ * ClassicEditor.create( element, {
+ * 	keystrokes: {
+ * 		commands: {
+ * 			undo: 'Ctrl+Alt+Z',
+ * 			redo: [ 'Ctrl+Alt+Y', 'Ctrl+Alt+Shift+Z' ]
+ * 		},
+ * 		store: {
+ * 			load: () => JSON.parse( localStorage.getItem( 'keystrokes' ) ),
+ * 			save: overrides => localStorage.setItem( 'keystrokes', JSON.stringify( overrides ) )
+ * 		}
+ * 	}
+ * } );
+ * ```
+ *
+ * The keystrokes set by the users are saved in the `store` and take precedence over the configured ones.
+ * The `load()` function of the store can also return a promise, e.g. when the keystrokes are kept on the server.
+ * The loaded keystrokes are applied once the promise is resolved.
+ * The UI displaying the keystrokes of a command can be updated when they change:
+ *
+ * ```ts
+ * editor.keystrokes.commandKeystrokes.on( 'change:undo', () => {
+ * 	buttonView.keystroke = editor.keystrokes.getCommandKeystrokes( 'undo' )[ 0 ];
+ * } );
+ * ```
+ *
+ * The commands can be executed by chords too, e.g. `'Ctrl+K Ctrl+C'`. The time to press the next keystroke of a chord
+ * is configured in `config.keystrokes.chordTimeout` (1500 ms by default).
  */
 class EditingKeystrokeHandler extends KeystrokeHandler {
     /**
@@ -1228,16 +1261,79 @@ class EditingKeystrokeHandler extends KeystrokeHandler {
     constructor(editor) {
         super();
         this.editor = editor;
+        /**
+         * The default keystrokes of the commands registered by the features with {@link #set `set()`}.
+         */
+        this._commandDefaults = new Map();
+        /**
+         * The keystrokes of the commands overriding the default ones in the editor configuration.
+         */
+        this._configuredOverrides = new Map();
+        /**
+         * The keystrokes of the commands set by the users. They are kept in the configured store and take precedence
+         * over the configured ones.
+         */
+        this._userOverrides = new Map();
+        /**
+         * The `commandName:keyCode` pairs which keystroke callbacks were already registered.
+         */
+        this._commandListeners = new Set();
+        /**
+         * The keystrokes handled by the callbacks registered by the features with {@link #set `set()`}.
+         */
+        this._callbackKeystrokeIds = new Set();
+        /**
+         * Fires the `change:<commandName>` event when the keystrokes executing the command were changed with
+         * {@link #setCommandKeystrokes `setCommandKeystrokes()`} or {@link #resetCommandKeystrokes `resetCommandKeystrokes()`}.
+         */
+        this.commandKeystrokes = new (EmitterMixin())();
+        editor.config.define('keystrokes', {
+            commands: {},
+            store: null,
+            chordTimeout: 1500
+        });
+        this.chordTimeout = editor.config.get('keystrokes.chordTimeout');
+        const configuredOverrides = editor.config.get('keystrokes.commands');
+        for (const commandName of Object.keys(configuredOverrides)) {
+            this._configuredOverrides.set(commandName, toArray(configuredOverrides[commandName]));
+        }
+        const storedOverrides = this._getStore() && this._getStore().load();
+        if (storedOverrides && typeof storedOverrides.then == 'function') {
+            storedOverrides.then(overrides => this._loadUserOverrides(overrides), error => {
+                /**
+                 * The keystrokes set by the user could not be loaded from the
+                 * {@link module:core/editor/editorconfig~EditorConfig#keystrokes configured store}.
+                 *
+                 * @error editingkeystrokehandler-store-load-failed
+                 * @param error The error the store rejected with.
+                 */
+                logWarning('editingkeystrokehandler-store-load-failed', { error });
+            });
+        }
+        else {
+            this._loadUserOverrides(storedOverrides);
+        }
+        editor.once('ready', () => {
+            // The overridden commands, which keystrokes were not registered by any feature, are listened to
+            // once all the features were initialized, so the priorities of the features are respected.
+            for (const commandName of this._getOverriddenCommandNames()) {
+                if (editor.commands.get(commandName)) {
+                    this._listenToCommandKeystrokes(commandName);
+                }
+            }
+            this._warnAboutConflicts();
+        });
     }
     /**
      * Registers a handler for the specified keystroke.
      *
      * The handler can be specified as a command name or a callback.
      *
-     * @param keystroke Keystroke defined in a format accepted by
-     * the {@link module:utils/keyboard~parseKeystroke} function.
+     * @param keystroke Keystroke or chord defined in a format accepted by
+     * the {@link module:utils/keyboard~parseKeystrokeSequence} function.
      * @param callback If a string is passed, then the keystroke will
-     * {@link module:core/editor/editor~Editor#execute execute a command}.
+     * {@link module:core/editor/editor~Editor#execute execute a command}. The keystroke becomes the default one
+     * of the command and it can be remapped (see {@link #setCommandKeystrokes `setCommandKeystrokes()`}).
      * If a function, then it will be called with the
      * {@link module:engine/view/observer/keyobserver~KeyEventData key event data} object and
      * a `cancel()` helper to both `preventDefault()` and `stopPropagation()` of the event.
@@ -1245,16 +1341,381 @@ class EditingKeystrokeHandler extends KeystrokeHandler {
      * @param options.priority The priority of the keystroke callback. The higher the priority value
      * the sooner the callback will be executed. Keystrokes having the same priority
      * are called in the order they were added.
+     * @param options.isHandledByFeature When `true`, the command keystroke is only declared as the default one
+     * of the command because the feature handles it on its own (e.g. in the `enter` event of the editing view document).
+     * The keystroke is not listened to by the handler then.
      */
     set(keystroke, callback, options = {}) {
         if (typeof callback == 'string') {
-            const commandName = callback;
-            callback = (evtData, cancel) => {
-                this.editor.execute(commandName);
-                cancel();
-            };
+            this._setCommandKeystroke(keystroke, callback, options);
+        }
+        else {
+            this._callbackKeystrokeIds.add(getKeystrokeId(keystroke));
+            super.set(keystroke, callback, options);
+        }
+    }
+    /**
+     * Returns the keystrokes executing the command: the ones set by the user, the configured ones
+     * or the defaults registered by the features.
+     *
+     * @param commandName The name of the command.
+     */
+    getCommandKeystrokes(commandName) {
+        for (const overrides of [this._userOverrides, this._configuredOverrides]) {
+            if (overrides.has(commandName)) {
+                return [...overrides.get(commandName)];
+            }
+        }
+        const defaults = this._commandDefaults.get(commandName);
+        return defaults ? defaults.keystrokes.map(({ keystroke }) => keystroke) : [];
+    }
+    /**
+     * Checks whether the keystroke executes the command.
+     *
+     * @param commandName The name of the command.
+     * @param keystroke Keystroke or chord defined in a format accepted by
+     * the {@link module:utils/keyboard~parseKeystrokeSequence} function.
+     */
+    hasCommandKeystroke(commandName, keystroke) {
+        const keystrokeId = getKeystrokeId(keystroke);
+        return this.getCommandKeystrokes(commandName).some(commandKeystroke => getKeystrokeId(commandKeystroke) == keystrokeId);
+    }
+    /**
+     * Remaps the keystrokes executing the command and saves them in the
+     * {@link module:core/editor/editorconfig~EditorConfig#keystrokes configured store}.
+     *
+     * Throws an error when one of the keystrokes executes another command already or it is handled by a feature callback.
+     *
+     * @param commandName The name of the command.
+     * @param keystrokes The new keystrokes of the command.
+     */
+    setCommandKeystrokes(commandName, keystrokes) {
+        keystrokes = toArray(keystrokes);
+        for (const keystroke of keystrokes) {
+            const conflictingCommandName = this._getConflictingCommandNames(keystroke).find(name => name != commandName);
+            if (conflictingCommandName || this._isHandledByCallback(keystroke, commandName)) {
+                /**
+                 * The keystroke cannot be assigned to the command because it executes another command already
+                 * or a feature handles it with a callback (e.g. <kbd>Alt</kbd>+<kbd>0</kbd> opening the accessibility help).
+                 * A chord cannot be assigned if its first keystroke is used in such a way (and the other way round),
+                 * because the chord could never be pressed.
+                 *
+                 * @error editingkeystrokehandler-keystroke-already-used
+                 * @param commandName The name of the command which keystrokes were set.
+                 * @param keystroke The conflicting keystroke.
+                 * @param conflictingCommandName The name of the command executed by the keystroke. It is `undefined`
+                 * when the keystroke is handled by a callback.
+                 */
+                throw new CKEditorError('editingkeystrokehandler-keystroke-already-used', this, { commandName, keystroke, conflictingCommandName });
+            }
+        }
+        this._userOverrides.set(commandName, keystrokes);
+        this._listenToCommandKeystrokes(commandName);
+        this._saveOverrides();
+        this.commandKeystrokes.fire(`change:${commandName}`);
+    }
+    /**
+     * Restores the configured (or default) keystrokes of the command and removes the ones set by the user from the
+     * {@link module:core/editor/editorconfig~EditorConfig#keystrokes configured store}.
+     *
+     * @param commandName The name of the command.
+     */
+    resetCommandKeystrokes(commandName) {
+        this._userOverrides.delete(commandName);
+        this._listenToCommandKeystrokes(commandName);
+        this._saveOverrides();
+        this.commandKeystrokes.fire(`change:${commandName}`);
+    }
+    /**
+     * Sets the keystrokes loaded from the store. When they are loaded after the editor is ready, the keystrokes
+     * are listened to at once and the `change:<commandName>` events are fired, so the UI displays them.
+     */
+    _loadUserOverrides(overrides) {
+        const editor = this.editor;
+        if (editor.state == 'destroyed') {
+            return;
+        }
+        for (const commandName of Object.keys(overrides || {})) {
+            this._userOverrides.set(commandName, toArray(overrides[commandName]));
+            if (editor.state == 'ready' && editor.commands.get(commandName)) {
+                this._listenToCommandKeystrokes(commandName);
+                this.commandKeystrokes.fire(`change:${commandName}`);
+            }
+        }
+    }
+    /**
+     * Returns the names of the commands which keystrokes were overridden in the configuration or by the user.
+     */
+    _getOverriddenCommandNames() {
+        return new Set([...this._configuredOverrides.keys(), ...this._userOverrides.keys()]);
+    }
+    /**
+     * Registers the default keystroke of the command and listens to the keystrokes executing it.
+     */
+    _setCommandKeystroke(keystroke, commandName, options) {
+        if (!this._commandDefaults.has(commandName)) {
+            this._commandDefaults.set(commandName, { keystrokes: [], priority: options.priority });
+        }
+        this._commandDefaults.get(commandName).keystrokes.push({ keystroke, isHandledByFeature: !!options.isHandledByFeature });
+        this._listenToCommandKeystrokes(commandName);
+    }
+    /**
+     * Registers the callbacks of the keystrokes executing the command, unless they were registered already.
+     *
+     * The callbacks are never removed. Instead, they check whether the keystroke still executes the command
+     * so remapping the keystrokes at runtime does not leave stale handlers behind.
+     */
+    _listenToCommandKeystrokes(commandName) {
+        const defaults = this._commandDefaults.get(commandName);
+        const handledByFeatureKeystrokeIds = defaults ?
+            defaults.keystrokes.filter(({ isHandledByFeature }) => isHandledByFeature).map(({ keystroke }) => getKeystrokeId(keystroke)) :
+            [];
+        for (const keystroke of this.getCommandKeystrokes(commandName)) {
+            const keystrokeId = getKeystrokeId(keystroke);
+            const listenerId = `${commandName}:${keystrokeId}`;
+            if (handledByFeatureKeystrokeIds.includes(keystrokeId) || this._commandListeners.has(listenerId)) {
+                continue;
+            }
+            this._commandListeners.add(listenerId);
+            super.set(keystroke, (evtData, cancel) => {
+                if (this.hasCommandKeystroke(commandName, keystroke)) {
+                    this.editor.execute(commandName);
+                    cancel();
+                }
+            }, { priority: defaults && defaults.priority });
         }
-        super.set(keystroke, callback, options);
+    }
+    /**
+     * Returns the names of the commands executed by the keystroke or by a chord starting with it, and of the commands
+     * executed by the keystroke starting the chord. Such a chord could never be pressed because the keystroke
+     * is handled first.
+     */
+    _getConflictingCommandNames(keystroke) {
+        const keystrokeId = getKeystrokeId(keystroke);
+        return Array.from(this._getAllCommandNames()).filter(commandName => this.getCommandKeystrokes(commandName)
+            .some(commandKeystroke => areKeystrokesConflicting(getKeystrokeId(commandKeystroke), keystrokeId)));
+    }
+    /**
+     * Checks whether the keystroke (or a keystroke starting the chord, or a chord starting with the keystroke) is handled
+     * by a feature callback. The same default keystrokes of the command are not reported, as the features registering both
+     * are expected to handle them on purpose (e.g. with different priorities).
+     */
+    _isHandledByCallback(keystroke, commandName) {
+        const keystrokeId = getKeystrokeId(keystroke);
+        const defaults = this._commandDefaults.get(commandName);
+        const isDefault = !!defaults && defaults.keystrokes.some(({ keystroke }) => getKeystrokeId(keystroke) == keystrokeId);
+        return Array.from(this._callbackKeystrokeIds).some(callbackKeystrokeId => callbackKeystrokeId == keystrokeId ?
+            !isDefault :
+            areKeystrokesConflicting(callbackKeystrokeId, keystrokeId));
+    }
+    /**
+     * Returns the names of all the commands which keystrokes were registered by the features or overridden.
+     */
+    _getAllCommandNames() {
+        return new Set([...this._commandDefaults.keys(), ...this._getOverriddenCommandNames()]);
+    }
+    /**
+     * Logs a warning for each keystroke executing more than one command, e.g. when two features register the same
+     * keystroke or when it was remapped to a keystroke used by another feature, also when the keystroke starts a chord
+     * of another command. Logs a warning for each keystroke handled by a feature callback and for each unknown command too.
+     */
+    _warnAboutConflicts() {
+        const reportedConflicts = new Set();
+        for (const commandName of this._getAllCommandNames()) {
+            if (!this._commandDefaults.has(commandName) && !this.editor.commands.get(commandName)) {
+                /**
+                 * The keystrokes were overridden for a command which is not registered in the editor,
+                 * e.g. because of a typo in the command name or a missing plugin.
+                 *
+                 * Check the command names in {@link module:core/editor/editorconfig~EditorConfig#keystrokes `config.keystrokes`}.
+                 *
+                 * @error editingkeystrokehandler-unknown-command
+                 * @param commandName The name of the unknown command.
+                 */
+                logWarning('editingkeystrokehandler-unknown-command', { commandName });
+                continue;
+            }
+            for (const keystroke of this.getCommandKeystrokes(commandName)) {
+                const commandNames = this._getConflictingCommandNames(keystroke);
+                const conflictId = commandNames.sort().join(' ');
+                if (commandNames.length > 1 && !reportedConflicts.has(conflictId)) {
+                    reportedConflicts.add(conflictId);
+                    /**
+                     * The keystroke executes more than one command, or it starts a chord executing another command.
+                     * Only the command which keystroke callback was registered first (or with the highest priority)
+                     * is executed.
+                     *
+                     * Remap the keystrokes of one of the commands in
+                     * {@link module:core/editor/editorconfig~EditorConfig#keystrokes `config.keystrokes`}.
+                     *
+                     * @error editingkeystrokehandler-keystroke-conflict
+                     * @param keystroke The conflicting keystroke.
+                     * @param commandNames The names of the conflicting commands.
+                     */
+                    logWarning('editingkeystrokehandler-keystroke-conflict', { keystroke, commandNames });
+                }
+                if (this._isHandledByCallback(keystroke, commandName)) {
+                    /**
+                     * The keystroke executing the command is also handled by a feature callback, e.g. the
+                     * <kbd>Alt</kbd>+<kbd>0</kbd> keystroke opening the accessibility help, or the keystroke starts
+                     * the chord of a callback (or the other way round). Depending on the priorities,
+                     * either the command or the callback does not react to the keystroke.
+                     *
+                     * Remap the keystrokes of the command in
+                     * {@link module:core/editor/editorconfig~EditorConfig#keystrokes `config.keystrokes`}.
+                     *
+                     * @error editingkeystrokehandler-keystroke-handled-by-callback
+                     * @param keystroke The conflicting keystroke.
+                     * @param commandName The name of the command executed by the keystroke.
+                     */
+                    logWarning('editingkeystrokehandler-keystroke-handled-by-callback', { keystroke, commandName });
+                }
+            }
+        }
+    }
+    /**
+     * Saves the keystrokes set by the user in the configured store.
+     */
+    _saveOverrides() {
+        const store = this._getStore();
+        if (store) {
+            store.save(Object.fromEntries(this._userOverrides));
+        }
+    }
+    /**
+     * Returns the configured store of the overridden keystrokes.
+     */
+    _getStore() {
+        return this.editor.config.get('keystrokes.store');
+    }
+}
+/**
+ * Returns the string identifying the keystroke or chord regardless of how it was written, e.g. `'ctrl+z'` and `'Ctrl+Z'`.
+ */
+function getKeystrokeId(keystroke) {
+    return parseKeystrokeSequence(keystroke).join(' ');
+}
+/**
+ * Checks whether the keystrokes (or chords) identified by {@link getKeystrokeId} are the same or one starts the other.
+ */
+function areKeystrokesConflicting(keystrokeIdA, keystrokeIdB) {
+    return keystrokeIdA == keystrokeIdB || keystrokeIdA.startsWith(keystrokeIdB + ' ') || keystrokeIdB.startsWith(keystrokeIdA + ' ');
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module core/accessibility
+ */
+/**
+ * The editor accessibility helper. It stores the information about the keystrokes available in the editor,
+ * which is displayed, for example, by the {@link module:ui/accessibilityhelp/accessibilityhelp~AccessibilityHelp} dialog.
+ *
+ * The keystrokes are grouped in categories. The `contentEditing` and `navigation` categories are available by default:
+ *
+ * ```ts
+ * editor.accessibility.addKeystrokeInfos( {
+ * 	keystrokes: [
+ * 		{ label: 'Make the text bold', keystroke: 'Ctrl+B' }
+ * 	]
+ * } );
+ *
+ * editor.accessibility.addKeystrokeInfoCategory( { id: 'comments', label: 'Comments' } );
+ * editor.accessibility.addKeystrokeInfos( {
+ * 	category: 'comments',
+ * 	keystrokes: [
+ * 		{ label: 'Add a comment', keystroke: 'Ctrl+Alt+M' }
+ * 	]
+ * } );
+ * ```
+ *
+ * The keystrokes are defined in the format accepted by {@link module:utils/keyboard~parseKeystroke} and rendered with
+ * {@link module:utils/keyboard~getEnvKeystrokeText} so they match the user's platform.
+ *
+ * The keystrokes executing a command are better referenced by the command name. They are read when displayed,
+ * so they are up to date after the users remap them (see
+ * {@link module:core/editingkeystrokehandler~EditingKeystrokeHandler#setCommandKeystrokes}):
+ *
+ * ```ts
+ * editor.accessibility.addKeystrokeInfos( {
+ * 	keystrokes: [
+ * 		{ label: 'Undo', commandName: 'undo' }
+ * 	]
+ * } );
+ * ```
+ */
+class Accessibility {
+    /**
+     * Creates an instance of the accessibility helper.
+     *
+     * @param editor The editor instance.
+     */
+    constructor(editor) {
+        const t = editor.t;
+        this._editor = editor;
+        /**
+         * The keystroke categories by their ids. Each category has a `label` and a list of `keystrokes`.
+         */
+        this.keystrokeInfos = new Map();
+        this.addKeystrokeInfoCategory({
+            id: 'contentEditing',
+            label: t('Content editing keystrokes')
+        });
+        this.addKeystrokeInfoCategory({
+            id: 'navigation',
+            label: t('User interface and content navigation keystrokes')
+        });
+        this.addKeystrokeInfos({
+            category: 'navigation',
+            keystrokes: [
+                { label: t('Close contextual balloons, dropdowns, and dialogs'), keystroke: 'Esc' },
+                { label: t('Move focus to the toolbar'), keystroke: 'Alt+F10' },
+                { label: t('Navigate through the toolbar'), keystroke: ['arrowleft', 'arrowright'] },
+                { label: t('Move focus in and out of an active dialog window'), keystroke: 'Ctrl+F6' }
+            ]
+        });
+    }
+    /**
+     * Adds a category of the keystrokes.
+     *
+     * @param options.id The id of the category.
+     * @param options.label The label of the category.
+     * @param options.description The description of the category.
+     */
+    addKeystrokeInfoCategory({ id, label, description = '' }) {
+        this.keystrokeInfos.set(id, { id, label, description, keystrokes: [] });
+    }
+    /**
+     * Adds the information about the keystrokes to the category.
+     *
+     * @param options.category The id of the category. The `contentEditing` category is used by default.
+     * @param options.keystrokes The keystrokes. Each has a `label` and a `keystroke`, e.g. `'Ctrl+B'`. If there are many keystrokes
+     * performing the same action, `keystroke` can be an array of them. Instead of the `keystroke`, the `commandName` can be
+     * passed to display the current keystrokes executing the command.
+     */
+    addKeystrokeInfos({ category = 'contentEditing', keystrokes }) {
+        if (!this.keystrokeInfos.has(category)) {
+            /**
+             * The keystroke info category does not exist. Add it first with
+             * {@link module:core/accessibility~Accessibility#addKeystrokeInfoCategory}.
+             *
+             * @error accessibility-unknown-keystroke-info-category
+             * @param category The id of the missing category.
+             */
+            throw new CKEditorError('accessibility-unknown-keystroke-info-category', this, { category });
+        }
+        this.keystrokeInfos.get(category).keystrokes.push(...keystrokes);
+    }
+    /**
+     * Returns the keystrokes of the keystroke info added with {@link #addKeystrokeInfos}. For the info with the `commandName`,
+     * these are the keystrokes executing the command at the moment.
+     *
+     * @param info The keystroke info.
+     */
+    getKeystrokes({ keystroke, commandName }) {
+        return commandName ? this._editor.keystrokes.getCommandKeystrokes(commandName) : toArray(keystroke);
     }
 }
 
@@ -1318,6 +1779,10 @@ class Editor extends ObservableMixin() {
         });
         const stylesProcessor = new StylesProcessor();
         this.data = new DataController(this.model, stylesProcessor);
+        const sanitizerProfile = this.config.get('htmlSanitizer');
+        if (sanitizerProfile) {
+            this.data.htmlProcessor.sanitizer = new HtmlSanitizer(this.data.viewDocument, sanitizerProfile === true ? {} : sanitizerProfile);
+        }
         this.editing = new EditingController(this.model, stylesProcessor);
         this.editing.view.document.bind('isReadOnly').to(this);
         this.conversion = new Conversion([this.editing.downcastDispatcher, this.data.downcastDispatcher], this.data.upcastDispatcher);
@@ -1325,6 +1790,15 @@ class Editor extends ObservableMixin() {
         this.conversion.addAlias('editingDowncast', this.editing.downcastDispatcher);
         this.keystrokes = new EditingKeystrokeHandler(this);
         this.keystrokes.listenTo(this.editing.view.document);
+        this.accessibility = new Accessibility(this);
+    }
+    /**
+     * The {@link module:core/context~Context context} the editor belongs to. It is either the context passed in
+     * the {@link module:core/editor/editorconfig~EditorConfig#context `config.context`} option or the context created
+     * by the editor. The {@link module:core/context~Context#editors editors} sharing the same context can be found through it.
+     */
+    get context() {
+        return this._context;
     }
     /**
      * Defines whether the editor is in the read-only mode.
@@ -1964,4 +2438,4 @@ const icons = {
     dragIndicator
 };
 
-export { Command, Context, ContextPlugin, DataApiMixin, Editor, ElementApiMixin, MultiCommand, PendingActions, Plugin, attachToForm, icons, secureSourceElement };
+export { Accessibility, Command, Context, ContextPlugin, DataApiMixin, Editor, ElementApiMixin, MultiCommand, PendingActions, Plugin, attachToForm, icons, secureSourceElement };
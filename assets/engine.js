@@ -22248,6 +22248,34 @@ class ViewConsumable {
             }
         }
     }
+    /**
+     * Returns the items that were added for consumption but were not consumed. For elements, only their parts that
+     * can still be consumed are listed. Document fragments are skipped.
+     *
+     * ```ts
+     * viewConsumable.getNotConsumed();
+     * // -> [ { item: textNode }, { item: p, name: false, attributes: [ 'dir' ], classes: [], styles: [ 'color' ] } ]
+     * ```
+     */
+    getNotConsumed() {
+        const notConsumed = [];
+        for (const [item, consumables] of this._consumables) {
+            if (item.is('documentFragment')) {
+                continue;
+            }
+            if (item.is('$text')) {
+                if (consumables) {
+                    notConsumed.push({ item });
+                }
+                continue;
+            }
+            const elementNotConsumed = consumables._getNotConsumed();
+            if (elementNotConsumed) {
+                notConsumed.push({ item, ...elementNotConsumed });
+            }
+        }
+        return notConsumed;
+    }
     /**
      * Creates consumable object from {@link module:engine/view/element~Element view element}. Consumable object will include
      * element's name and all its attributes, classes and styles.
@@ -22585,6 +22613,98 @@ class ViewElementConsumables {
             }
         }
     }
+    /**
+     * Returns the parts of the element that can still be consumed or `null` if everything was consumed.
+     * Styles related to the element styles (e.g. `margin-top` for `margin`) are not listed.
+     */
+    _getNotConsumed() {
+        const ownStyles = this.element.getStyleNames();
+        const result = { name: !!this._canConsumeName };
+        let hasNotConsumed = result.name;
+        for (const type of CONSUMABLE_TYPES) {
+            result[type] = Array.from(this._consumables[type])
+                .filter(([name, canConsume]) => canConsume && (type != 'styles' || ownStyles.includes(name)))
+                .map(([name]) => name);
+            hasNotConsumed = hasNotConsumed || result[type].length > 0;
+        }
+        return hasNotConsumed ? result : null;
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module engine/conversion/contentlossreport
+ */
+// Elements that only group other content. Dropping them alone does not lose anything the user could notice.
+const TRANSPARENT_ELEMENTS = ['span', 'div'];
+// The elements without a converter (only their children were converted) collected for each conversion consumable.
+const elementsWithoutConverter = new WeakMap();
+/**
+ * Creates a converter collecting the elements that were not converted by any feature, so only their children
+ * are converted by the default element converter. It must run right before the default converter.
+ */
+function collectElementsWithoutConverter() {
+    return (evt, data, { consumable }) => {
+        if (data.modelRange || !consumable.test(data.viewItem, { name: true })) {
+            return;
+        }
+        if (!elementsWithoutConverter.has(consumable)) {
+            elementsWithoutConverter.set(consumable, []);
+        }
+        elementsWithoutConverter.get(consumable).push(data.viewItem);
+    };
+}
+/**
+ * Creates a report of the view content that was dropped during the upcast conversion, based on the
+ * {@link module:engine/conversion/viewconsumable~ViewConsumable} used by the conversion:
+ *
+ * ```ts
+ * const modelFragment = upcastDispatcher.convert( viewFragment, writer );
+ * const report = createContentLossReport( upcastDispatcher.conversionApi.consumable );
+ *
+ * if ( !report.isEmpty ) {
+ * 	console.log( report.elements.map( element => element.name ) );
+ * }
+ * ```
+ *
+ * The report contains:
+ *
+ * * `elements` &ndash; the view elements that were not converted (their content may have been converted by
+ * the default element converter),
+ * * `attributes`, `classes` and `styles` &ndash; `{ element, name, value }` objects describing the element parts that were
+ * not converted (`value` is not set for classes),
+ * * `text` &ndash; the view text nodes that were not converted,
+ * * `isEmpty` &ndash; whether nothing was lost.
+ *
+ * @param consumable The consumable used by the conversion.
+ */
+function createContentLossReport(consumable) {
+    const report = { elements: [], attributes: [], classes: [], styles: [], text: [] };
+    for (const element of elementsWithoutConverter.get(consumable) || []) {
+        if (!TRANSPARENT_ELEMENTS.includes(element.name)) {
+            report.elements.push(element);
+        }
+    }
+    for (const { item, name, attributes, classes, styles } of consumable.getNotConsumed()) {
+        if (item.is('$text')) {
+            // Whitespaces between blocks are not converted on purpose.
+            if (item.data.trim()) {
+                report.text.push(item);
+            }
+            continue;
+        }
+        if (name && !TRANSPARENT_ELEMENTS.includes(item.name)) {
+            report.elements.push(item);
+        }
+        report.attributes.push(...attributes.map(key => ({ element: item, name: key, value: item.getAttribute(key) })));
+        report.classes.push(...classes.map(className => ({ element: item, name: className })));
+        report.styles.push(...styles.map(style => ({ element: item, name: style, value: item.getStyle(style) })));
+    }
+    report.isEmpty = ['elements', 'attributes', 'classes', 'styles', 'text'].every(type => !report[type].length);
+    return report;
 }
 
 /**
@@ -24219,179 +24339,1485 @@ class UpcastDispatcher extends EmitterMixin() {
                 anyRemoved = true;
             }
         }
-        if (anyRemoved) {
-            this._removeEmptyElements();
-        }
+        if (anyRemoved) {
+            this._removeEmptyElements();
+        }
+    }
+}
+/**
+ * Traverses given model item and searches elements which marks marker range. Found element is removed from
+ * DocumentFragment but path of this element is stored in a Map which is then returned.
+ *
+ * @param modelItem Fragment of model.
+ * @returns List of static markers.
+ */
+function extractMarkersFromModelFragment(modelItem, writer) {
+    const markerElements = new Set();
+    const markers = new Map();
+    // Create ModelTreeWalker.
+    const range = Range._createIn(modelItem).getItems();
+    // Walk through DocumentFragment and collect marker elements.
+    for (const item of range) {
+        // Check if current element is a marker.
+        if (item.is('element', '$marker')) {
+            markerElements.add(item);
+        }
+    }
+    // Walk through collected marker elements store its path and remove its from the DocumentFragment.
+    for (const markerElement of markerElements) {
+        const markerName = markerElement.getAttribute('data-name');
+        const currentPosition = writer.createPositionBefore(markerElement);
+        // When marker of given name is not stored it means that we have found the beginning of the range.
+        if (!markers.has(markerName)) {
+            markers.set(markerName, new Range(currentPosition.clone()));
+            // Otherwise is means that we have found end of the marker range.
+        }
+        else {
+            markers.get(markerName).end = currentPosition.clone();
+        }
+        // Remove marker element from DocumentFragment.
+        writer.remove(markerElement);
+    }
+    return markers;
+}
+/**
+ * Creates model fragment according to given context and returns position in the bottom (the deepest) element.
+ */
+function createContextTree(contextDefinition, writer) {
+    let position;
+    for (const item of new SchemaContext(contextDefinition)) {
+        const attributes = {};
+        for (const key of item.getAttributeKeys()) {
+            attributes[key] = item.getAttribute(key);
+        }
+        const current = writer.createElement(item.name, attributes);
+        if (position) {
+            writer.insert(current, position);
+        }
+        position = Position._createAt(current, 0);
+    }
+    return position;
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * Basic HTML writer. It uses the native `innerHTML` property for basic conversion
+ * from a document fragment to an HTML string.
+ */
+class BasicHtmlWriter {
+    /**
+     * Returns an HTML string created from the document fragment.
+     */
+    getHtml(fragment) {
+        const doc = document.implementation.createHTMLDocument('');
+        const container = doc.createElement('div');
+        container.appendChild(fragment);
+        return container.innerHTML;
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module engine/dataprocessor/htmlsanitizer
+ */
+// Attributes holding URLs. Their values are checked against the allowed URL schemes.
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'action', 'formaction', 'cite', 'poster', 'background', 'longdesc', 'xlink:href'];
+/**
+ * The strict sanitizer profile. It allows the content that the editor features produce by default and only the safe
+ * attributes and styles of this content.
+ */
+const STRICT_SANITIZER_PROFILE = {
+    allow: [
+        {
+            name: new RegExp('^(p|br|hr|h[1-6]|blockquote|pre|code|kbd|ul|ol|li|strong|b|em|i|u|s|del|ins|sub|sup|mark|small|span|div|' +
+                'a|img|picture|source|figure|figcaption|table|caption|colgroup|col|thead|tbody|tfoot|tr|th|td)$')
+        },
+        { attributes: /^(dir|lang|title)$/ },
+        { classes: true },
+        {
+            styles: new RegExp('^(text-align|text-indent|color|background-color|font-size|font-family|font-weight|font-style|' +
+                'text-decoration|width|height|max-width|min-width|float|margin(-left|-right)?|padding(-left|-right)?|' +
+                'vertical-align|list-style-type|border(-[a-z]+)*)$')
+        },
+        { name: 'a', attributes: /^(href|target|rel|download)$/ },
+        { name: /^(img|source)$/, attributes: /^(src|srcset|sizes|alt|width|height|type|media)$/ },
+        { name: /^(td|th)$/, attributes: /^(colspan|rowspan|scope|headers)$/ },
+        { name: /^(col|colgroup)$/, attributes: 'span' },
+        { name: 'ol', attributes: /^(start|reversed|type)$/ },
+        { name: /^(table|td|th)$/, attributes: /^(width|height|align|valign)$/ }
+    ],
+    allowedUrlSchemes: ['http', 'https', 'ftp', 'ftps', 'mailto', 'tel', 'sms'],
+    allowDataUrlsIn: ['img', 'source'],
+    removeContentOf: ['script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'svg', 'math', 'head', 'title', 'textarea', 'select']
+};
+/**
+ * The HTML sanitizer. It removes the elements, attributes, classes and styles that are not allowed from a DOM fragment.
+ *
+ * The allowed content is defined with {@link module:engine/view/matcher~MatcherPattern matcher patterns}. An element
+ * is allowed if at least one pattern matches its name. The patterns without a name only allow the attributes, classes
+ * and styles of the allowed elements. The attributes, classes and styles are kept if they were matched by any of the patterns:
+ *
+ * ```ts
+ * const sanitizer = new HtmlSanitizer( viewDocument, {
+ * 	allow: [
+ * 		{ name: /^(p|a|strong)$/ },
+ * 		{ name: 'a', attributes: /^(href|target)$/ },
+ * 		{ classes: /^text-/ }
+ * 	],
+ * 	allowedUrlSchemes: [ 'https', 'mailto' ]
+ * } );
+ *
+ * htmlDataProcessor.sanitizer = sanitizer;
+ * ```
+ *
+ * Not allowed elements are unwrapped (their allowed content is kept), except the `removeContentOf` elements
+ * (e.g. `<script>`) which are removed together with their content. Event handler attributes (`on*`) and comments are
+ * always removed, as well as URL attributes and styles with URLs using a scheme that is not allowed. Relative URLs are kept.
+ * The `data:` URLs are allowed only in the `src` attribute of the `allowDataUrlsIn` elements (e.g. `<img>`).
+ *
+ * The options that are not set are taken from the strict default profile.
+ */
+class HtmlSanitizer {
+    /**
+     * Creates a new instance of the HTML sanitizer.
+     *
+     * @param document The view document instance used to create the elements matched against the patterns.
+     * @param profile The sanitizer profile.
+     * @param profile.allow The matcher patterns of the allowed content.
+     * @param profile.allowedUrlSchemes The allowed URL schemes (without the colon).
+     * @param profile.allowDataUrlsIn The names of the elements which `src` attribute can hold a `data:` URL.
+     * @param profile.removeContentOf The names of the not allowed elements removed together with their content.
+     */
+    constructor(document, profile = {}) {
+        const { allow, allowedUrlSchemes, allowDataUrlsIn, removeContentOf } = { ...STRICT_SANITIZER_PROFILE, ...profile };
+        this.document = document;
+        this._allowedContentMatcher = new Matcher(...allow);
+        this._allowedUrlSchemes = allowedUrlSchemes.map(scheme => scheme.toLowerCase());
+        this._allowDataUrlsIn = allowDataUrlsIn;
+        this._removeContentOf = removeContentOf;
+    }
+    /**
+     * Sanitizes the given DOM fragment or element content in place.
+     *
+     * @param domNode The DOM document fragment or element to sanitize.
+     */
+    sanitize(domNode) {
+        for (const child of Array.from(domNode.childNodes)) {
+            if (child.nodeType == 8) { // Comment.
+                child.remove();
+            }
+            else if (child.nodeType == 1) { // Element.
+                this._sanitizeElement(child);
+            }
+        }
+    }
+    /**
+     * Sanitizes the DOM element and its content.
+     */
+    _sanitizeElement(domElement) {
+        const name = domElement.tagName.toLowerCase();
+        const attributes = Array.from(domElement.attributes).map(({ name, value }) => [name, value]);
+        const viewElement = new Element$1(this.document, name, attributes);
+        const matches = this._allowedContentMatcher.matchAll(viewElement);
+        // Only the patterns matching the element name allow the element. The other ones (e.g. `{ classes: true }`)
+        // would match any element with a class.
+        if (!matches || !matches.some(({ match }) => match.name) || this._removeContentOf.includes(name)) {
+            if (this._removeContentOf.includes(name)) {
+                domElement.remove();
+            }
+            else {
+                this.sanitize(domElement);
+                domElement.replaceWith(...Array.from(domElement.childNodes));
+            }
+            return;
+        }
+        const allowed = { attributes: new Set(), classes: new Set(), styles: new Set() };
+        for (const { match } of matches) {
+            for (const type of ['attributes', 'classes', 'styles']) {
+                for (const key of match[type] || []) {
+                    allowed[type].add(key);
+                }
+            }
+        }
+        for (const [key, value] of attributes) {
+            if (key == 'class') {
+                this._sanitizeClasses(domElement, viewElement, allowed.classes);
+            }
+            else if (key == 'style') {
+                this._sanitizeStyles(domElement, viewElement, allowed.styles);
+            }
+            else if (!allowed.attributes.has(key) || /^on/i.test(key) ||
+                URL_ATTRIBUTES.includes(key) && !this._isAllowedUrlAttribute(key, value, name)) {
+                domElement.removeAttribute(key);
+            }
+        }
+        this.sanitize(domElement);
+    }
+    /**
+     * Keeps only the allowed classes of the DOM element.
+     */
+    _sanitizeClasses(domElement, viewElement, allowedClasses) {
+        const classes = Array.from(viewElement.getClassNames()).filter(className => allowedClasses.has(className));
+        if (classes.length) {
+            domElement.setAttribute('class', classes.join(' '));
+        }
+        else {
+            domElement.removeAttribute('class');
+        }
+    }
+    /**
+     * Keeps only the allowed styles of the DOM element. Styles with URLs using not allowed schemes are removed.
+     */
+    _sanitizeStyles(domElement, viewElement, allowedStyles) {
+        const styles = viewElement.getStyleNames()
+            .filter(style => allowedStyles.has(style))
+            .map(style => [style, viewElement.getStyle(style)])
+            .filter(([, value]) => typeof value == 'string' && !/expression\s*\(/i.test(value) && this._hasAllowedUrls(value));
+        if (styles.length) {
+            domElement.setAttribute('style', styles.map(([style, value]) => `${style}:${value};`).join(''));
+        }
+        else {
+            domElement.removeAttribute('style');
+        }
+    }
+    /**
+     * Checks whether all `url()` values in the style value use the allowed URL schemes.
+     */
+    _hasAllowedUrls(styleValue) {
+        return Array.from(styleValue.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/gi)).every(([, , url]) => this._isAllowedUrl(url));
+    }
+    /**
+     * Checks whether the URL attribute value is allowed. The `srcset` attribute holds a list of image candidates,
+     * so each of their URLs is checked. The values of the other attributes are checked as single URLs.
+     *
+     * @param key The attribute key.
+     * @param value The attribute value.
+     * @param elementName The name of the element the attribute belongs to.
+     */
+    _isAllowedUrlAttribute(key, value, elementName) {
+        if (key == 'srcset') {
+            return getSrcsetUrls(value).every(url => this._isAllowedUrl(url));
+        }
+        return this._isAllowedUrl(value, key == 'src' && this._allowDataUrlsIn.includes(elementName));
+    }
+    /**
+     * Checks whether the URL is relative or uses one of the allowed schemes.
+     *
+     * @param url The URL to check.
+     * @param allowDataUrl Whether the `data:` URL is allowed.
+     */
+    _isAllowedUrl(url, allowDataUrl = false) {
+        // Browsers ignore whitespaces and control characters in the scheme, e.g. `java\nscript:`.
+        // eslint-disable-next-line no-control-regex
+        const normalizedUrl = url.replace(/[\u0000- \u007F-\u009F]/g, '');
+        const scheme = normalizedUrl.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) {
+            return true;
+        }
+        return this._allowedUrlSchemes.includes(scheme[1].toLowerCase()) || allowDataUrl && scheme[1].toLowerCase() == 'data';
+    }
+}
+/**
+ * Returns the URLs of the image candidates listed in the `srcset` attribute value.
+ *
+ * Like in the browsers, the URL is a sequence of non-whitespace characters, so it may contain commas, e.g. in the `data:` URLs.
+ * The commas ending the URL separate it from the next candidate. Otherwise, the URL is followed by the descriptors ending with a comma.
+ * See https://html.spec.whatwg.org/multipage/images.html#parsing-a-srcset-attribute.
+ */
+function getSrcsetUrls(srcset) {
+    const urls = [];
+    const urlPattern = /[\s,]*(\S+)/y;
+    let match;
+    while ((match = urlPattern.exec(srcset))) {
+        const url = match[1].replace(/,+$/, '');
+        urls.push(url);
+        // Skip the descriptors following the URL.
+        if (url.length == match[1].length) {
+            const descriptorsEnd = srcset.indexOf(',', urlPattern.lastIndex);
+            urlPattern.lastIndex = descriptorsEnd == -1 ? srcset.length : descriptorsEnd;
+        }
+    }
+    return urls;
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module engine/dataprocessor/htmldataprocessor
+ */
+/* globals DOMParser */
+/**
+ * The HTML data processor class.
+ * This data processor implementation uses HTML as input and output data.
+ */
+class HtmlDataProcessor {
+    /**
+     * Creates a new instance of the HTML data processor class.
+     *
+     * @param document The view document instance.
+     */
+    constructor(document) {
+        this.skipComments = true;
+        this.domParser = new DOMParser();
+        this.domConverter = new DomConverter(document, { renderingMode: 'data' });
+        this.htmlWriter = new BasicHtmlWriter();
+        /**
+         * The sanitizer applied to the input HTML in {@link #toView} and to the output HTML in {@link #toData}.
+         * By default, the HTML is not sanitized.
+         */
+        this.sanitizer = null;
+    }
+    /**
+     * Converts a provided {@link module:engine/view/documentfragment~DocumentFragment document fragment}
+     * to data format &mdash; in this case to an HTML string.
+     *
+     * @returns HTML string.
+     */
+    toData(viewFragment) {
+        // Convert view DocumentFragment to DOM DocumentFragment.
+        const domFragment = this.domConverter.viewToDom(viewFragment);
+        if (this.sanitizer) {
+            this.sanitizer.sanitize(domFragment);
+        }
+        // Convert DOM DocumentFragment to HTML output.
+        return this.htmlWriter.getHtml(domFragment);
+    }
+    /**
+     * Converts the provided HTML string to a view tree.
+     *
+     * @param data An HTML string.
+     * @returns A converted view element.
+     */
+    toView(data) {
+        // Convert input HTML data to DOM DocumentFragment.
+        const domFragment = this._toDom(data);
+        if (this.sanitizer) {
+            this.sanitizer.sanitize(domFragment);
+        }
+        // Convert DOM DocumentFragment to view DocumentFragment.
+        return this.domConverter.domToView(domFragment, { skipComments: this.skipComments });
+    }
+    /**
+     * Registers a {@link module:engine/view/matcher~MatcherPattern} for view elements whose content should be treated as raw data
+     * and not processed during the conversion from the DOM to the view elements.
+     *
+     * The raw data can be later accessed by a
+     * {@link module:engine/view/element~Element#getCustomProperty custom property of a view element} called `"$rawContent"`.
+     *
+     * @param pattern Pattern matching all view elements whose content should be treated as raw data.
+     */
+    registerRawContentMatcher(pattern) {
+        this.domConverter.registerRawContentMatcher(pattern);
+    }
+    /**
+     * If the processor is set to use marked fillers, it will insert `&nbsp;` fillers wrapped in `<span>` elements
+     * (`<span data-cke-filler="true">&nbsp;</span>`) instead of regular `&nbsp;` characters.
+     *
+     * This mode allows for a more precise handling of the block fillers (so they do not leak into the editor content) but
+     * bloats the editor data with additional markup.
+     *
+     * This mode may be required by some features and will be turned on by them automatically.
+     *
+     * @param type Whether to use the default or the marked `&nbsp;` block fillers.
+     */
+    useFillerType(type) {
+        this.domConverter.blockFillerMode = type == 'marked' ? 'markedNbsp' : 'nbsp';
+    }
+    /**
+     * Converts an HTML string to its DOM representation. Returns a document fragment containing nodes parsed from
+     * the provided data.
+     */
+    _toDom(data) {
+        // Wrap data with a <body> tag so leading non-layout nodes (like <script>, <style>, HTML comment)
+        // will be preserved in the body collection.
+        // Do it only for data that is not a full HTML document.
+        if (!data.match(/<(?:html|body|head|meta)(?:\s[^>]*)?>/i)) {
+            data = `<body>${data}</body>`;
+        }
+        const document = this.domParser.parseFromString(data, 'text/html');
+        const fragment = document.createDocumentFragment();
+        const bodyChildNodes = document.body.childNodes;
+        while (bodyChildNodes.length > 0) {
+            fragment.appendChild(bodyChildNodes[0]);
+        }
+        return fragment;
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module engine/dataprocessor/markdowndataprocessor
+ */
+/**
+ * The Markdown data processor class.
+ *
+ * This data processor implementation uses CommonMark-flavored Markdown (with the GitHub Flavored Markdown tables
+ * and strikethrough extensions) as input and output data. It can be used in place of the default
+ * {@link module:engine/dataprocessor/htmldataprocessor~HtmlDataProcessor} by assigning it to
+ * {@link module:engine/controller/datacontroller~DataController#processor `editor.data.processor`}:
+ *
+ * ```ts
+ * editor.data.processor = new MarkdownDataProcessor( editor.data.viewDocument );
+ *
+ * editor.setData( '# Hello\n\nThis is **Markdown**.' );
+ * editor.getData(); // -> '# Hello\n\nThis is **Markdown**.'
+ * ```
+ *
+ * The Markdown is converted to HTML first and then processed by an internal
+ * {@link module:engine/dataprocessor/htmldataprocessor~HtmlDataProcessor}. The output is produced by a deterministic
+ * serializer, which always writes the same Markdown for the same content. Thanks to that, saving unchanged content
+ * results in a byte-identical output. Elements that cannot be expressed in Markdown are written as raw HTML.
+ */
+class MarkdownDataProcessor {
+    /**
+     * Creates a new instance of the Markdown data processor class.
+     *
+     * @param document The view document instance.
+     */
+    constructor(document) {
+        this._htmlDataProcessor = new HtmlDataProcessor(document);
+        this._keepHtmlElements = new Set();
+    }
+    /**
+     * Keeps the specified element in the output as HTML. This is useful if the editor contains features
+     * producing elements that should not be converted to Markdown, for example, paragraphs with custom attributes.
+     *
+     * @param element The name of the element to be kept as raw HTML.
+     */
+    keepHtml(element) {
+        this._keepHtmlElements.add(element);
+    }
+    /**
+     * Converts the provided Markdown string to a view tree.
+     *
+     * @param data A Markdown string.
+     * @returns The converted view element.
+     */
+    toView(data) {
+        const html = markdownToHtml(data);
+        return this._htmlDataProcessor.toView(html);
+    }
+    /**
+     * Converts the provided {@link module:engine/view/documentfragment~DocumentFragment} to data format &ndash; in this
+     * case to a Markdown string.
+     *
+     * @returns A Markdown string.
+     */
+    toData(viewFragment) {
+        const domFragment = this._htmlDataProcessor.domConverter.viewToDom(viewFragment);
+        return domToMarkdown(domFragment, { keepHtml: this._keepHtmlElements });
+    }
+    /**
+     * Registers a {@link module:engine/view/matcher~MatcherPattern} for view elements whose content should be treated as raw data
+     * and not processed during the conversion from Markdown to view elements.
+     *
+     * The raw data can be later accessed by a
+     * {@link module:engine/view/element~Element#getCustomProperty custom property of a view element} called `"$rawContent"`.
+     *
+     * @param pattern The pattern matching all view elements whose content should be treated as raw data.
+     */
+    registerRawContentMatcher(pattern) {
+        this._htmlDataProcessor.registerRawContentMatcher(pattern);
+    }
+    /**
+     * This method does not have any effect on the data processor result. It exists for compatibility with the
+     * {@link module:engine/dataprocessor/dataprocessor~DataProcessor `DataProcessor` interface}.
+     *
+     * Block fillers are never written to the Markdown output.
+     */
+    useFillerType() { }
+}
+// Elements that are rendered as blocks by the Markdown serializer.
+const MARKDOWN_BLOCK_ELEMENTS = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'ul', 'ol', 'pre', 'hr', 'table', 'figure', 'div'
+]);
+// Block-level HTML tags that start a raw HTML block in Markdown input.
+const HTML_BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer',
+    'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+    'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+const ATX_HEADING_REGEXP = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK_REGEXP = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const FENCE_REGEXP = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`]*?)[ \t]*$/;
+const BLOCKQUOTE_REGEXP = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM_REGEXP = /^( {0,3})([*+-]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const SETEXT_UNDERLINE_REGEXP = /^ {0,3}(=+|-+)[ \t]*$/;
+const TABLE_DELIMITER_REGEXP = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const LINK_DEFINITION_REGEXP = /^ {0,3}\[((?:[^\]\\]|\\.)+)\]:[ \t]*(<[^>\n]*>|\S+)(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^)\\]|\\.)*\)))?[ \t]*$/;
+const HTML_BLOCK_REGEXP = /^ {0,3}<\/?([a-zA-Z][a-zA-Z0-9-]*)(?:[\s/>]|$)/;
+const HTML_COMMENT_BLOCK_REGEXP = /^ {0,3}<!--/;
+const INLINE_HTML_REGEXP = /^(?:<\/?[a-zA-Z][a-zA-Z0-9-]*(?:\s+[a-zA-Z_:][\w.:-]*(?:\s*=\s*(?:[^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*\/?>|<!--[\s\S]*?-->)/;
+const AUTOLINK_REGEXP = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^<>\s]*)>/;
+const EMAIL_AUTOLINK_REGEXP = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+const ENTITY_REGEXP = /^&(?:#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/;
+const ASCII_PUNCTUATION_REGEXP = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+/**
+ * Converts a Markdown string into an HTML string.
+ */
+function markdownToHtml(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const context = { references: new Map() };
+    return parseMarkdownBlocks(extractLinkDefinitions(lines, context), context, false);
+}
+/**
+ * Removes link reference definitions (`[label]: url "title"`) from the lines and stores them in the context,
+ * so reference links can be resolved regardless of where in the document the definition is placed.
+ */
+function extractLinkDefinitions(lines, context) {
+    const result = [];
+    let fence = null;
+    for (const line of lines) {
+        const fenceMatch = line.match(FENCE_REGEXP);
+        if (fenceMatch && (!fence || fenceMatch[2][0] == fence[0] && fenceMatch[2].length >= fence.length && !fenceMatch[3])) {
+            fence = fence ? null : fenceMatch[2];
+        }
+        const definitionMatch = !fence && line.match(LINK_DEFINITION_REGEXP);
+        if (definitionMatch) {
+            const label = normalizeReferenceLabel(definitionMatch[1]);
+            if (!context.references.has(label)) {
+                context.references.set(label, {
+                    href: unescapeMarkdown(definitionMatch[2].replace(/^<(.*)>$/, '$1')),
+                    title: definitionMatch[3] ? unescapeMarkdown(definitionMatch[3].slice(1, -1)) : null
+                });
+            }
+            continue;
+        }
+        result.push(line);
+    }
+    return result;
+}
+/**
+ * Parses block-level Markdown structures and returns their HTML representation.
+ *
+ * @param lines The lines of the Markdown source.
+ * @param context The parsing context holding the link reference definitions.
+ * @param isTight Whether the blocks belong to a tight list item, in which case paragraphs are not wrapped in `<p>` tags.
+ */
+function parseMarkdownBlocks(lines, context, isTight) {
+    const output = [];
+    let index = 0;
+    while (index < lines.length) {
+        const line = lines[index];
+        let match;
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+        // Fenced code block.
+        if ((match = line.match(FENCE_REGEXP))) {
+            const [, indent, fence, info] = match;
+            const codeLines = [];
+            index++;
+            while (index < lines.length) {
+                const closingMatch = lines[index].match(FENCE_REGEXP);
+                if (closingMatch && closingMatch[2][0] == fence[0] && closingMatch[2].length >= fence.length && !closingMatch[3]) {
+                    index++;
+                    break;
+                }
+                codeLines.push(lines[index].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+                index++;
+            }
+            const language = unescapeMarkdown(info.split(/\s+/)[0]);
+            const classAttribute = language ? ` class="language-${escapeHtml(language, true)}"` : '';
+            output.push(`<pre><code${classAttribute}>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+            continue;
+        }
+        // Indented code block.
+        if (/^ {4}/.test(line)) {
+            const codeLines = [];
+            while (index < lines.length && (/^ {4}/.test(lines[index]) || !lines[index].trim())) {
+                codeLines.push(lines[index].slice(4));
+                index++;
+            }
+            while (codeLines.length && !codeLines[codeLines.length - 1].trim()) {
+                codeLines.pop();
+            }
+            output.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+            continue;
+        }
+        // ATX heading.
+        if ((match = line.match(ATX_HEADING_REGEXP))) {
+            const level = match[1].length;
+            output.push(`<h${level}>${parseMarkdownInline(match[2] || '', context)}</h${level}>`);
+            index++;
+            continue;
+        }
+        // Thematic break.
+        if (THEMATIC_BREAK_REGEXP.test(line)) {
+            output.push('<hr>');
+            index++;
+            continue;
+        }
+        // Block quote.
+        if (BLOCKQUOTE_REGEXP.test(line)) {
+            const quoteLines = [];
+            while (index < lines.length && lines[index].trim()) {
+                match = lines[index].match(BLOCKQUOTE_REGEXP);
+                // Lazy continuation lines are allowed only for paragraphs.
+                if (!match && isMarkdownBlockStart(lines, index)) {
+                    break;
+                }
+                quoteLines.push(match ? match[1] : lines[index]);
+                index++;
+            }
+            output.push(`<blockquote>${parseMarkdownBlocks(quoteLines, context, false)}</blockquote>`);
+            continue;
+        }
+        // List.
+        if (LIST_ITEM_REGEXP.test(line) && !THEMATIC_BREAK_REGEXP.test(line)) {
+            const list = parseMarkdownList(lines, index, context);
+            output.push(list.html);
+            index = list.endIndex;
+            continue;
+        }
+        // Raw HTML block.
+        if (isHtmlBlockStart(line)) {
+            const htmlLines = [];
+            while (index < lines.length && lines[index].trim()) {
+                htmlLines.push(lines[index]);
+                index++;
+            }
+            output.push(htmlLines.join('\n'));
+            continue;
+        }
+        // Table (GitHub Flavored Markdown extension).
+        if (line.includes('|') && index + 1 < lines.length && TABLE_DELIMITER_REGEXP.test(lines[index + 1])) {
+            const table = parseMarkdownTable(lines, index, context);
+            if (table) {
+                output.push(table.html);
+                index = table.endIndex;
+                continue;
+            }
+        }
+        // Paragraph, possibly turned into a setext heading.
+        const paragraphLines = [line.trim()];
+        index++;
+        let setextLevel = 0;
+        while (index < lines.length && lines[index].trim()) {
+            if ((match = lines[index].match(SETEXT_UNDERLINE_REGEXP))) {
+                setextLevel = match[1][0] == '=' ? 1 : 2;
+                index++;
+                break;
+            }
+            if (isMarkdownBlockStart(lines, index)) {
+                break;
+            }
+            paragraphLines.push(lines[index].replace(/^\s+/, ''));
+            index++;
+        }
+        const content = parseMarkdownInline(paragraphLines.join('\n').replace(/\s+$/, ''), context);
+        if (setextLevel) {
+            output.push(`<h${setextLevel}>${content}</h${setextLevel}>`);
+        }
+        else {
+            output.push(isTight ? content : `<p>${content}</p>`);
+        }
+    }
+    return output.join(isTight ? '\n' : '');
+}
+/**
+ * Checks whether the line at the given index starts a block that may interrupt a paragraph.
+ */
+function isMarkdownBlockStart(lines, index) {
+    const line = lines[index];
+    const listMatch = line.match(LIST_ITEM_REGEXP);
+    return ATX_HEADING_REGEXP.test(line) ||
+        THEMATIC_BREAK_REGEXP.test(line) ||
+        FENCE_REGEXP.test(line) ||
+        BLOCKQUOTE_REGEXP.test(line) ||
+        isHtmlBlockStart(line) ||
+        // Only non-empty list items and ordered lists starting with 1 can interrupt a paragraph.
+        !!listMatch && !!listMatch[4] && (/^[*+-]$/.test(listMatch[2]) || /^1[.)]$/.test(listMatch[2]));
+}
+/**
+ * Checks whether the line starts a raw HTML block.
+ */
+function isHtmlBlockStart(line) {
+    const match = line.match(HTML_BLOCK_REGEXP);
+    return !!match && HTML_BLOCK_TAGS.has(match[1].toLowerCase()) || HTML_COMMENT_BLOCK_REGEXP.test(line);
+}
+/**
+ * Parses a list starting at the given line.
+ *
+ * @returns The HTML of the list and the index of the first line after the list.
+ */
+function parseMarkdownList(lines, startIndex, context) {
+    const firstMatch = lines[startIndex].match(LIST_ITEM_REGEXP);
+    const isOrdered = /\d/.test(firstMatch[2]);
+    const markerType = firstMatch[2].slice(-1);
+    const items = [];
+    let isLoose = false;
+    let index = startIndex;
+    while (index < lines.length) {
+        const match = lines[index].match(LIST_ITEM_REGEXP);
+        if (!match || match[2].slice(-1) != markerType || /\d/.test(match[2]) != isOrdered || THEMATIC_BREAK_REGEXP.test(lines[index])) {
+            break;
+        }
+        const spacing = match[3] || ' ';
+        const contentIndent = match[1].length + match[2].length + (spacing.length > 4 ? 1 : spacing.length);
+        const itemLines = [spacing.length > 4 ? spacing.slice(1) + match[4] : match[4] || ''];
+        index++;
+        while (index < lines.length) {
+            const current = lines[index];
+            if (!current.trim()) {
+                itemLines.push('');
+                index++;
+                continue;
+            }
+            const indent = current.match(/^ */)[0].length;
+            if (indent >= contentIndent) {
+                itemLines.push(current.slice(contentIndent));
+                index++;
+                continue;
+            }
+            // A lazy paragraph continuation line.
+            if (itemLines[itemLines.length - 1].trim() && !isMarkdownBlockStart(lines, index) && !LIST_ITEM_REGEXP.test(current)) {
+                itemLines.push(current.trim());
+                index++;
+                continue;
+            }
+            break;
+        }
+        // Trailing blank lines belong to the list only when another item follows them.
+        let trailingBlankLines = 0;
+        while (itemLines.length > 1 && !itemLines[itemLines.length - 1].trim()) {
+            itemLines.pop();
+            trailingBlankLines++;
+        }
+        if (trailingBlankLines && index < lines.length && LIST_ITEM_REGEXP.test(lines[index])) {
+            const nextMatch = lines[index].match(LIST_ITEM_REGEXP);
+            if (nextMatch[2].slice(-1) == markerType) {
+                isLoose = true;
+            }
+        }
+        if (hasBlankLineBetweenBlocks(itemLines)) {
+            isLoose = true;
+        }
+        items.push({ lines: itemLines, number: isOrdered ? parseInt(match[2], 10) : null });
+        if (trailingBlankLines && !(index < lines.length && LIST_ITEM_REGEXP.test(lines[index]))) {
+            break;
+        }
+    }
+    const tagName = isOrdered ? 'ol' : 'ul';
+    const start = isOrdered && items[0].number !== 1 ? ` start="${items[0].number}"` : '';
+    const itemsHtml = items.map(item => `<li>${parseMarkdownBlocks(item.lines, context, !isLoose)}</li>`).join('');
+    return {
+        html: `<${tagName}${start}>${itemsHtml}</${tagName}>`,
+        endIndex: index
+    };
+}
+/**
+ * Checks whether there is a blank line between two top-level blocks of a list item (outside fenced code blocks).
+ */
+function hasBlankLineBetweenBlocks(lines) {
+    let fence = null;
+    for (let i = 0; i < lines.length; i++) {
+        const fenceMatch = lines[i].match(FENCE_REGEXP);
+        if (fenceMatch) {
+            fence = fence ? null : fenceMatch[2];
+        }
+        // Blank lines followed by a nested list or an indented content belong to the nested structures.
+        const next = lines[i + 1];
+        if (!fence && !lines[i].trim() && i > 0 && next && next.trim() && !/^\s/.test(next) && !LIST_ITEM_REGEXP.test(next)) {
+            return true;
+        }
+    }
+    return false;
+}
+/**
+ * Parses a GitHub Flavored Markdown table starting at the given line.
+ *
+ * @returns The HTML of the table and the index of the first line after the table or `null` if the lines do not form a table.
+ */
+function parseMarkdownTable(lines, startIndex, context) {
+    const headerCells = splitTableRow(lines[startIndex]);
+    const alignments = splitTableRow(lines[startIndex + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+    });
+    if (headerCells.length != alignments.length) {
+        return null;
+    }
+    const renderRow = (cells, tagName) => '<tr>' + alignments.map((alignment, index) => {
+        const style = alignment ? ` style="text-align:${alignment}"` : '';
+        return `<${tagName}${style}>${parseMarkdownInline(cells[index] || '', context)}</${tagName}>`;
+    }).join('') + '</tr>';
+    const bodyRows = [];
+    let index = startIndex + 2;
+    while (index < lines.length && lines[index].trim() && !isMarkdownBlockStart(lines, index)) {
+        bodyRows.push(renderRow(splitTableRow(lines[index]), 'td'));
+        index++;
+    }
+    const body = bodyRows.length ? `<tbody>${bodyRows.join('')}</tbody>` : '';
+    return {
+        html: `<table><thead>${renderRow(headerCells, 'th')}</thead>${body}</table>`,
+        endIndex: index
+    };
+}
+/**
+ * Splits a table row into cells, respecting escaped pipes and pipes inside code spans.
+ */
+function splitTableRow(line) {
+    const cells = [];
+    let current = '';
+    let codeSpanTicks = 0;
+    const content = line.trim().replace(/^\|/, '');
+    for (let i = 0; i < content.length; i++) {
+        const character = content[i];
+        if (character == '\\' && content[i + 1] == '|') {
+            current += codeSpanTicks ? '|' : '\\|';
+            i++;
+        }
+        else if (character == '`') {
+            const run = content.slice(i).match(/^`+/)[0];
+            codeSpanTicks = codeSpanTicks == run.length ? 0 : codeSpanTicks || run.length;
+            current += run;
+            i += run.length - 1;
+        }
+        else if (character == '|' && !codeSpanTicks) {
+            cells.push(current.trim());
+            current = '';
+        }
+        else {
+            current += character;
+        }
+    }
+    if (current.trim()) {
+        cells.push(current.trim());
+    }
+    return cells;
+}
+/**
+ * Parses inline Markdown structures and returns their HTML representation.
+ */
+function parseMarkdownInline(text, context) {
+    let output = '';
+    let index = 0;
+    while (index < text.length) {
+        const character = text[index];
+        const rest = text.slice(index);
+        let match;
+        // Backslash escapes and hard line breaks.
+        if (character == '\\') {
+            const next = text[index + 1];
+            if (next == '\n') {
+                output += '<br>\n';
+                index += 2;
+                continue;
+            }
+            if (next && ASCII_PUNCTUATION_REGEXP.test(next)) {
+                output += escapeHtml(next);
+                index += 2;
+                continue;
+            }
+        }
+        // Code spans.
+        if (character == '`') {
+            const run = rest.match(/^`+/)[0];
+            const end = findCodeSpanEnd(text, index + run.length, run.length);
+            if (end != -1) {
+                let code = text.slice(index + run.length, end).replace(/\n/g, ' ');
+                if (/^ .*[^ ].* $/.test(code)) {
+                    code = code.slice(1, -1);
+                }
+                output += `<code>${escapeHtml(code)}</code>`;
+                index = end + run.length;
+            }
+            else {
+                output += run;
+                index += run.length;
+            }
+            continue;
+        }
+        // Images and links.
+        if (character == '[' || character == '!' && text[index + 1] == '[') {
+            const isImage = character == '!';
+            const link = parseMarkdownLink(text, isImage ? index + 1 : index, context);
+            if (link) {
+                const title = link.title !== null ? ` title="${escapeHtml(link.title, true)}"` : '';
+                if (isImage) {
+                    const alt = parseMarkdownInline(link.label, context).replace(/<[^>]*>/g, '');
+                    output += `<img src="${escapeHtml(link.href, true)}" alt="${escapeHtml(decodeHtmlEntities(alt), true)}"${title}>`;
+                }
+                else {
+                    output += `<a href="${escapeHtml(link.href, true)}"${title}>${parseMarkdownInline(link.label, context)}</a>`;
+                }
+                index = link.endIndex;
+                continue;
+            }
+        }
+        // Autolinks and inline HTML.
+        if (character == '<') {
+            if ((match = rest.match(AUTOLINK_REGEXP))) {
+                output += `<a href="${escapeHtml(match[1], true)}">${escapeHtml(match[1])}</a>`;
+                index += match[0].length;
+                continue;
+            }
+            if ((match = rest.match(EMAIL_AUTOLINK_REGEXP))) {
+                output += `<a href="mailto:${escapeHtml(match[1], true)}">${escapeHtml(match[1])}</a>`;
+                index += match[0].length;
+                continue;
+            }
+            if ((match = rest.match(INLINE_HTML_REGEXP))) {
+                output += match[0];
+                index += match[0].length;
+                continue;
+            }
+        }
+        // Entity and numeric character references are passed through.
+        if (character == '&' && (match = rest.match(ENTITY_REGEXP))) {
+            output += match[0];
+            index += match[0].length;
+            continue;
+        }
+        // Emphasis, strong emphasis and strikethrough.
+        if (character == '*' || character == '_' || character == '~' && text[index + 1] == '~') {
+            const emphasis = parseMarkdownEmphasis(text, index, context);
+            if (emphasis) {
+                output += emphasis.html;
+                index = emphasis.endIndex;
+                continue;
+            }
+            const run = rest.match(/^(\*+|_+|~+)/)[0];
+            output += run;
+            index += run.length;
+            continue;
+        }
+        // Hard line break made of two or more trailing spaces. Other trailing spaces are stripped.
+        if (character == '\n') {
+            const trailingSpaces = output.match(/ *$/)[0].length;
+            output = output.slice(0, output.length - trailingSpaces) + (trailingSpaces >= 2 ? '<br>\n' : '\n');
+            index++;
+            while (text[index] == ' ') {
+                index++;
+            }
+            continue;
+        }
+        output += escapeHtml(character);
+        index++;
+    }
+    return output;
+}
+/**
+ * Finds the closing backtick run of a code span.
+ *
+ * @returns The index of the closing run or `-1` if the code span is not closed.
+ */
+function findCodeSpanEnd(text, fromIndex, length) {
+    let index = fromIndex;
+    while ((index = text.indexOf('`', index)) != -1) {
+        const run = text.slice(index).match(/^`+/)[0];
+        if (run.length == length) {
+            return index;
+        }
+        index += run.length;
+    }
+    return -1;
+}
+/**
+ * Parses an inline link or image (without the leading `!`) starting at the `[` character.
+ *
+ * @returns The link label, destination, title and the index after the link, or `null` if there is no valid link.
+ */
+function parseMarkdownLink(text, startIndex, context) {
+    let depth = 0;
+    let labelEnd = -1;
+    for (let i = startIndex; i < text.length; i++) {
+        const character = text[i];
+        if (character == '\\') {
+            i++;
+        }
+        else if (character == '`') {
+            const run = text.slice(i).match(/^`+/)[0];
+            const end = findCodeSpanEnd(text, i + run.length, run.length);
+            i = end == -1 ? i + run.length - 1 : end + run.length - 1;
+        }
+        else if (character == '[') {
+            depth++;
+        }
+        else if (character == ']' && --depth == 0) {
+            labelEnd = i;
+            break;
+        }
+    }
+    if (labelEnd == -1) {
+        return null;
+    }
+    const label = text.slice(startIndex + 1, labelEnd);
+    const rest = text.slice(labelEnd + 1);
+    // Inline link: [label](destination "title").
+    const inlineMatch = rest.match(/^\(\s*(<(?:[^<>\n\\]|\\.)*>|(?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*)(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?\s*\)/);
+    if (inlineMatch) {
+        return {
+            label,
+            href: unescapeMarkdown(inlineMatch[1].replace(/^<([\s\S]*)>$/, '$1')),
+            title: inlineMatch[2] ? unescapeMarkdown(inlineMatch[2].slice(1, -1)) : null,
+            endIndex: labelEnd + 1 + inlineMatch[0].length
+        };
+    }
+    // Full, collapsed and shortcut reference links: [label][ref], [label][] and [label].
+    const referenceMatch = rest.match(/^\[((?:[^\]\\]|\\.)*)\]/);
+    const referenceLabel = referenceMatch && referenceMatch[1] ? referenceMatch[1] : label;
+    const reference = context.references.get(normalizeReferenceLabel(referenceLabel));
+    if (!reference) {
+        return null;
+    }
+    return {
+        label,
+        href: reference.href,
+        title: reference.title,
+        endIndex: labelEnd + 1 + (referenceMatch ? referenceMatch[0].length : 0)
+    };
+}
+/**
+ * Parses emphasis (`*text*`), strong emphasis (`**text**`), both combined (`***text***`)
+ * or strikethrough (`~~text~~`) starting at the given index.
+ *
+ * @returns The HTML of the emphasis and the index after it or `null` if the delimiter run is not closed.
+ */
+function parseMarkdownEmphasis(text, startIndex, context) {
+    const run = text.slice(startIndex).match(/^(\*+|_+|~+)/)[0];
+    const character = run[0];
+    const previous = text[startIndex - 1] || ' ';
+    const next = text[startIndex + run.length] || ' ';
+    // An opening delimiter run must be left-flanking. Underscores cannot open emphasis inside a word.
+    if (/\s/.test(next) || character == '_' && /[a-zA-Z0-9]/.test(previous)) {
+        return null;
+    }
+    let delimiter = null;
+    let end = -1;
+    if (character == '~') {
+        delimiter = '~~';
+        end = findEmphasisEnd(text, startIndex + 2, delimiter);
+    }
+    else if (run.length >= 3 && (end = findEmphasisEnd(text, startIndex + 3, run.slice(0, 3))) != -1) {
+        delimiter = run.slice(0, 3);
+    }
+    else if (run.length == 2 && (end = findEmphasisEnd(text, startIndex + 2, run)) != -1) {
+        delimiter = run;
+    }
+    else {
+        // A run of three delimiters can be closed by both emphasis and strong emphasis. The one closed later is the outer one.
+        for (const length of [1, 2].filter(length => length < run.length || length == 1)) {
+            const candidateEnd = findEmphasisEnd(text, startIndex + length, run.slice(0, length));
+            if (candidateEnd > end) {
+                end = candidateEnd;
+                delimiter = run.slice(0, length);
+            }
+        }
+    }
+    if (end == -1) {
+        return null;
     }
+    const inner = parseMarkdownInline(text.slice(startIndex + delimiter.length, end), context);
+    const tags = {
+        1: ['<em>', '</em>'],
+        2: ['<strong>', '</strong>'],
+        3: ['<em><strong>', '</strong></em>']
+    };
+    const [open, close] = character == '~' ? ['<del>', '</del>'] : tags[delimiter.length];
+    return {
+        html: open + inner + close,
+        endIndex: end + delimiter.length
+    };
 }
 /**
- * Traverses given model item and searches elements which marks marker range. Found element is removed from
- * DocumentFragment but path of this element is stored in a Map which is then returned.
+ * Finds the closing delimiter run matching the opening one. Code spans, escaped characters and
+ * nested delimiter runs of a different length are skipped.
  *
- * @param modelItem Fragment of model.
- * @returns List of static markers.
+ * @returns The index of the closing delimiter or `-1` if it was not found.
  */
-function extractMarkersFromModelFragment(modelItem, writer) {
-    const markerElements = new Set();
-    const markers = new Map();
-    // Create ModelTreeWalker.
-    const range = Range._createIn(modelItem).getItems();
-    // Walk through DocumentFragment and collect marker elements.
-    for (const item of range) {
-        // Check if current element is a marker.
-        if (item.is('element', '$marker')) {
-            markerElements.add(item);
+function findEmphasisEnd(text, fromIndex, delimiter) {
+    const character = delimiter[0];
+    for (let i = fromIndex; i < text.length; i++) {
+        if (text[i] == '\\') {
+            i++;
+            continue;
         }
-    }
-    // Walk through collected marker elements store its path and remove its from the DocumentFragment.
-    for (const markerElement of markerElements) {
-        const markerName = markerElement.getAttribute('data-name');
-        const currentPosition = writer.createPositionBefore(markerElement);
-        // When marker of given name is not stored it means that we have found the beginning of the range.
-        if (!markers.has(markerName)) {
-            markers.set(markerName, new Range(currentPosition.clone()));
-            // Otherwise is means that we have found end of the marker range.
+        if (text[i] == '`') {
+            const run = text.slice(i).match(/^`+/)[0];
+            const end = findCodeSpanEnd(text, i + run.length, run.length);
+            i = end == -1 ? i + run.length - 1 : end + run.length - 1;
+            continue;
         }
-        else {
-            markers.get(markerName).end = currentPosition.clone();
+        if (text[i] != character) {
+            continue;
         }
-        // Remove marker element from DocumentFragment.
-        writer.remove(markerElement);
+        const run = text.slice(i).match(new RegExp(`^\\${character}+`))[0];
+        const previous = text[i - 1];
+        const next = text[i + run.length] || ' ';
+        const isRightFlanking = i > fromIndex && !/\s/.test(previous);
+        const canClose = isRightFlanking && !(character == '_' && /[a-zA-Z0-9]/.test(next));
+        if (canClose && run.length == delimiter.length) {
+            return i;
+        }
+        // Skip the whole run, as it belongs to a nested emphasis.
+        i += run.length - 1;
     }
-    return markers;
+    return -1;
 }
 /**
- * Creates model fragment according to given context and returns position in the bottom (the deepest) element.
+ * Normalizes a link reference label for case-insensitive matching.
  */
-function createContextTree(contextDefinition, writer) {
-    let position;
-    for (const item of new SchemaContext(contextDefinition)) {
-        const attributes = {};
-        for (const key of item.getAttributeKeys()) {
-            attributes[key] = item.getAttribute(key);
+function normalizeReferenceLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+/**
+ * Removes Markdown backslash escapes.
+ */
+function unescapeMarkdown(text) {
+    return decodeHtmlEntities(text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1'));
+}
+/**
+ * Decodes the most common HTML character references.
+ */
+function decodeHtmlEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#[xX]([0-9a-fA-F]+);/g, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&nbsp;/g, '\u00a0')
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+/**
+ * Escapes characters that have a special meaning in HTML.
+ *
+ * @param text The text to escape.
+ * @param isAttribute Whether the text will be used as an attribute value, in which case double quotes are escaped, too.
+ */
+function escapeHtml(text, isAttribute = false) {
+    const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return isAttribute ? escaped.replace(/"/g, '&quot;') : escaped;
+}
+/**
+ * Serializes a DOM document fragment into a Markdown string.
+ *
+ * @param domFragment The DOM fragment to serialize.
+ * @param options.keepHtml The names of elements that should always be written as raw HTML.
+ */
+function domToMarkdown(domFragment, options) {
+    return serializeMarkdownBlocks(Array.from(domFragment.childNodes), options).join('\n\n');
+}
+/**
+ * Serializes DOM nodes into a list of Markdown blocks. Inline nodes placed next to each other are grouped
+ * into a single paragraph.
+ */
+function serializeMarkdownBlocks(nodes, options) {
+    const blocks = [];
+    let inlineNodes = [];
+    let previousList = null;
+    const flushInlineNodes = () => {
+        const paragraph = serializeMarkdownParagraph(inlineNodes, options);
+        if (paragraph) {
+            blocks.push(paragraph);
+            previousList = null;
         }
-        const current = writer.createElement(item.name, attributes);
-        if (position) {
-            writer.insert(current, position);
+        inlineNodes = [];
+    };
+    for (const node of nodes) {
+        const name = node.nodeType == 1 ? node.nodeName.toLowerCase() : null;
+        if (!name || !MARKDOWN_BLOCK_ELEMENTS.has(name)) {
+            inlineNodes.push(node);
+            continue;
         }
-        position = Position._createAt(current, 0);
+        flushInlineNodes();
+        // Two adjacent lists of the same type would be merged into one, so they need to be separated.
+        if (previousList && previousList == name) {
+            blocks.push('<!-- -->');
+        }
+        blocks.push(serializeMarkdownBlock(node, name, options));
+        previousList = name == 'ul' || name == 'ol' ? name : null;
+    }
+    flushInlineNodes();
+    return blocks;
+}
+/**
+ * Serializes a single block element into Markdown.
+ */
+function serializeMarkdownBlock(element, name, options) {
+    if (options.keepHtml.has(name)) {
+        return element.outerHTML;
+    }
+    switch (name) {
+        case 'p':
+            return serializeMarkdownParagraph(Array.from(element.childNodes), options) || '&nbsp;';
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6': {
+            const content = serializeMarkdownInline(Array.from(element.childNodes), options).replace(/ *\\?\n */g, ' ').trim();
+            return '#'.repeat(Number(name[1])) + ' ' + (content || '&nbsp;');
+        }
+        case 'blockquote': {
+            const content = serializeMarkdownBlocks(Array.from(element.childNodes), options).join('\n\n');
+            return content.split('\n').map(line => line ? '> ' + line : '>').join('\n');
+        }
+        case 'ul':
+        case 'ol':
+            return serializeMarkdownList(element, name, options);
+        case 'pre':
+            return serializeMarkdownCodeBlock(element);
+        case 'hr':
+            return '---';
+        case 'table':
+            return serializeMarkdownTable(element, options) || element.outerHTML;
+        case 'figure':
+            return serializeMarkdownFigure(element, options);
+        default:
+            return element.outerHTML;
     }
-    return position;
 }
-
 /**
- * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
- * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ * Serializes inline nodes into a Markdown paragraph, escaping characters that would start a block at the beginning of a line.
  */
+function serializeMarkdownParagraph(nodes, options) {
+    const content = serializeMarkdownInline(nodes, options)
+        // Hard line breaks at the beginning or the end of a paragraph are meaningless in Markdown.
+        .replace(/^(?:\s|\\\n)+|(?:\s|\\\n)+$/g, '')
+        .replace(/ *\n */g, '\n');
+    return content
+        .split('\n')
+        .map(line => line
+            .replace(/^(\d+)([.)])/, '$1\\$2')
+            .replace(/^([#>+=-])/, '\\$1'))
+        .join('\n');
+}
 /**
- * Basic HTML writer. It uses the native `innerHTML` property for basic conversion
- * from a document fragment to an HTML string.
+ * Serializes a list element into Markdown.
  */
-class BasicHtmlWriter {
-    /**
-     * Returns an HTML string created from the document fragment.
-     */
-    getHtml(fragment) {
-        const doc = document.implementation.createHTMLDocument('');
-        const container = doc.createElement('div');
-        container.appendChild(fragment);
-        return container.innerHTML;
-    }
+function serializeMarkdownList(element, name, options) {
+    const items = Array.from(element.children).filter(child => child.nodeName.toLowerCase() == 'li');
+    const start = name == 'ol' && element.hasAttribute('start') ? parseInt(element.getAttribute('start'), 10) || 1 : 1;
+    const isLoose = items.some(isLooseMarkdownListItem);
+    return items.map((item, index) => {
+        const marker = name == 'ol' ? `${start + index}.` : '-';
+        const indent = ' '.repeat(marker.length + 1);
+        const content = serializeMarkdownBlocks(Array.from(item.childNodes), options).join(isLoose ? '\n\n' : '\n') || '&nbsp;';
+        return marker + ' ' + content.split('\n').map((line, lineIndex) => {
+            return lineIndex && line ? indent + line : line;
+        }).join('\n');
+    }).join(isLoose ? '\n\n' : '\n');
 }
-
 /**
- * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
- * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ * Checks whether a list item contains more than one block apart from nested lists, which makes the whole list loose.
  */
+function isLooseMarkdownListItem(item) {
+    let blockCount = 0;
+    let hasInlineContent = false;
+    for (const child of Array.from(item.childNodes)) {
+        const name = child.nodeType == 1 ? child.nodeName.toLowerCase() : null;
+        if (name && MARKDOWN_BLOCK_ELEMENTS.has(name)) {
+            blockCount += name == 'ul' || name == 'ol' ? 0 : 1;
+        }
+        else if (child.nodeType == 1 || child.nodeType == 3 && child.data.trim()) {
+            hasInlineContent = true;
+        }
+    }
+    return blockCount + (hasInlineContent ? 1 : 0) > 1;
+}
 /**
- * @module engine/dataprocessor/htmldataprocessor
+ * Serializes a `<pre>` element into a fenced code block.
  */
-/* globals DOMParser */
+function serializeMarkdownCodeBlock(element) {
+    const codeElement = element.querySelector('code');
+    const code = getMarkdownCodeText(codeElement || element).replace(/\n$/, '');
+    const languageMatch = codeElement && (codeElement.getAttribute('class') || '').match(/(?:^|\s)language-(\S+)/);
+    const longestBacktickRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestBacktickRun + 1));
+    return `${fence}${languageMatch ? languageMatch[1] : ''}\n${code}\n${fence}`;
+}
 /**
- * The HTML data processor class.
- * This data processor implementation uses HTML as input and output data.
+ * Returns the text of a code block. Line breaks may be represented both as new line characters and `<br>` elements.
  */
-class HtmlDataProcessor {
-    /**
-     * Creates a new instance of the HTML data processor class.
-     *
-     * @param document The view document instance.
-     */
-    constructor(document) {
-        this.skipComments = true;
-        this.domParser = new DOMParser();
-        this.domConverter = new DomConverter(document, { renderingMode: 'data' });
-        this.htmlWriter = new BasicHtmlWriter();
+function getMarkdownCodeText(element) {
+    return Array.from(element.childNodes).map(node => {
+        if (node.nodeType == 3) {
+            return node.data;
+        }
+        return node.nodeName.toLowerCase() == 'br' ? '\n' : getMarkdownCodeText(node);
+    }).join('');
+}
+/**
+ * Serializes a `<table>` element into a GitHub Flavored Markdown table.
+ *
+ * @returns The Markdown table or `null` if the table cannot be expressed in Markdown (it has merged cells,
+ * block content in cells or no heading row).
+ */
+function serializeMarkdownTable(element, options) {
+    const rows = Array.from(element.querySelectorAll('tr'));
+    if (!rows.length) {
+        return null;
     }
-    /**
-     * Converts a provided {@link module:engine/view/documentfragment~DocumentFragment document fragment}
-     * to data format &mdash; in this case to an HTML string.
-     *
-     * @returns HTML string.
-     */
-    toData(viewFragment) {
-        // Convert view DocumentFragment to DOM DocumentFragment.
-        const domFragment = this.domConverter.viewToDom(viewFragment);
-        // Convert DOM DocumentFragment to HTML output.
-        return this.htmlWriter.getHtml(domFragment);
+    const cells = rows.map(row => Array.from(row.children));
+    const isExpressible = cells.every(rowCells => rowCells.every(cell => {
+        return !cell.hasAttribute('colspan') && !cell.hasAttribute('rowspan') &&
+            Array.from(cell.children).every(child => !MARKDOWN_BLOCK_ELEMENTS.has(child.nodeName.toLowerCase()) ||
+                child.nodeName.toLowerCase() == 'p' && cell.children.length == 1);
+    }));
+    const hasHeadingRow = cells[0].every(cell => cell.nodeName.toLowerCase() == 'th');
+    if (!isExpressible || !hasHeadingRow) {
+        return null;
     }
-    /**
-     * Converts the provided HTML string to a view tree.
-     *
-     * @param data An HTML string.
-     * @returns A converted view element.
-     */
-    toView(data) {
-        // Convert input HTML data to DOM DocumentFragment.
-        const domFragment = this._toDom(data);
-        // Convert DOM DocumentFragment to view DocumentFragment.
-        return this.domConverter.domToView(domFragment, { skipComments: this.skipComments });
+    const columnCount = Math.max(...cells.map(rowCells => rowCells.length));
+    const serializeRow = rowCells => {
+        const values = [];
+        for (let index = 0; index < columnCount; index++) {
+            const cell = rowCells[index];
+            const value = cell ? serializeMarkdownInline(Array.from(cell.childNodes), options) : '';
+            values.push(value.replace(/\\?\n/g, ' ').replace(/\|/g, '\\|').trim());
+        }
+        return '| ' + values.join(' | ') + ' |';
+    };
+    const alignments = cells[0].map(cell => {
+        const alignment = cell.style && cell.style.textAlign;
+        return alignment == 'center' ? ':---:' : alignment == 'right' ? '---:' : alignment == 'left' ? ':---' : '---';
+    });
+    while (alignments.length < columnCount) {
+        alignments.push('---');
     }
-    /**
-     * Registers a {@link module:engine/view/matcher~MatcherPattern} for view elements whose content should be treated as raw data
-     * and not processed during the conversion from the DOM to the view elements.
-     *
-     * The raw data can be later accessed by a
-     * {@link module:engine/view/element~Element#getCustomProperty custom property of a view element} called `"$rawContent"`.
-     *
-     * @param pattern Pattern matching all view elements whose content should be treated as raw data.
-     */
-    registerRawContentMatcher(pattern) {
-        this.domConverter.registerRawContentMatcher(pattern);
+    return [
+        serializeRow(cells[0]),
+        '| ' + alignments.join(' | ') + ' |',
+        ...cells.slice(1).map(serializeRow)
+    ].join('\n');
+}
+/**
+ * Serializes a `<figure>` element. Tables and images without captions are unwrapped, other figures are kept as HTML.
+ */
+function serializeMarkdownFigure(element, options) {
+    const children = Array.from(element.children);
+    if (children.length == 1 && children[0].nodeName.toLowerCase() == 'table') {
+        return serializeMarkdownTable(children[0], options) || element.outerHTML;
     }
-    /**
-     * If the processor is set to use marked fillers, it will insert `&nbsp;` fillers wrapped in `<span>` elements
-     * (`<span data-cke-filler="true">&nbsp;</span>`) instead of regular `&nbsp;` characters.
-     *
-     * This mode allows for a more precise handling of the block fillers (so they do not leak into the editor content) but
-     * bloats the editor data with additional markup.
-     *
-     * This mode may be required by some features and will be turned on by them automatically.
-     *
-     * @param type Whether to use the default or the marked `&nbsp;` block fillers.
-     */
-    useFillerType(type) {
-        this.domConverter.blockFillerMode = type == 'marked' ? 'markedNbsp' : 'nbsp';
+    if (children.length == 1 && children[0].nodeName.toLowerCase() == 'img') {
+        return serializeMarkdownInline(children, options);
     }
-    /**
-     * Converts an HTML string to its DOM representation. Returns a document fragment containing nodes parsed from
-     * the provided data.
-     */
-    _toDom(data) {
-        // Wrap data with a <body> tag so leading non-layout nodes (like <script>, <style>, HTML comment)
-        // will be preserved in the body collection.
-        // Do it only for data that is not a full HTML document.
-        if (!data.match(/<(?:html|body|head|meta)(?:\s[^>]*)?>/i)) {
-            data = `<body>${data}</body>`;
+    return element.outerHTML;
+}
+/**
+ * Serializes inline DOM nodes into Markdown.
+ */
+function serializeMarkdownInline(nodes, options) {
+    let output = '';
+    for (const node of nodes) {
+        if (node.nodeType == 3) {
+            output += escapeMarkdownText(node.data.replace(/[ \t\n\r]+/g, ' '));
+            continue;
         }
-        const document = this.domParser.parseFromString(data, 'text/html');
-        const fragment = document.createDocumentFragment();
-        const bodyChildNodes = document.body.childNodes;
-        while (bodyChildNodes.length > 0) {
-            fragment.appendChild(bodyChildNodes[0]);
+        if (node.nodeType != 1) {
+            continue;
         }
-        return fragment;
+        const name = node.nodeName.toLowerCase();
+        if (options.keepHtml.has(name)) {
+            output += node.outerHTML;
+            continue;
+        }
+        const content = () => serializeMarkdownInline(Array.from(node.childNodes), options);
+        switch (name) {
+            case 'strong':
+            case 'b':
+                output += wrapMarkdownDelimiter(content(), '**');
+                break;
+            case 'em':
+            case 'i':
+                output += wrapMarkdownDelimiter(content(), '*');
+                break;
+            case 's':
+            case 'del':
+            case 'strike':
+                output += wrapMarkdownDelimiter(content(), '~~');
+                break;
+            case 'code':
+                output += serializeMarkdownCodeSpan(node.textContent);
+                break;
+            case 'br':
+                output += '\\\n';
+                break;
+            case 'a':
+                output += serializeMarkdownLink(node, content());
+                break;
+            case 'img':
+                output += `![${escapeMarkdownText(node.getAttribute('alt') || '')}]` +
+                    `(${serializeMarkdownDestination(node.getAttribute('src') || '', node.getAttribute('title'))})`;
+                break;
+            default:
+                output += node.childNodes.length ? `${getHtmlOpeningTag(node)}${content()}</${name}>` : node.outerHTML;
+        }
+    }
+    return output;
+}
+/**
+ * Returns the opening tag of an element, so its content can be serialized as Markdown while the element itself is kept as HTML.
+ */
+function getHtmlOpeningTag(element) {
+    const attributes = Array.from(element.attributes).map(attribute => ` ${attribute.name}="${escapeHtml(attribute.value, true)}"`);
+    return `<${element.nodeName.toLowerCase()}${attributes.join('')}>`;
+}
+/**
+ * Wraps inline content with an emphasis delimiter. Leading and trailing white spaces are moved outside the delimiters,
+ * as emphasis cannot start or end with a white space in Markdown.
+ */
+function wrapMarkdownDelimiter(content, delimiter) {
+    const [, leading, core, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return core ? leading + delimiter + core + delimiter + trailing : content;
+}
+/**
+ * Serializes a code span, using a backtick run longer than any run inside the code.
+ */
+function serializeMarkdownCodeSpan(code) {
+    const runs = code.match(/`+/g) || [];
+    let length = 1;
+    while (runs.some(run => run.length == length)) {
+        length++;
+    }
+    const fence = '`'.repeat(length);
+    const padding = code.startsWith('`') || code.endsWith('`') || /^ .*[^ ].* $/.test(code) ? ' ' : '';
+    return fence + padding + code + padding + fence;
+}
+/**
+ * Serializes a link.
+ */
+function serializeMarkdownLink(element, content) {
+    const href = element.getAttribute('href') || '';
+    const title = element.getAttribute('title');
+    if (!title && content && href == content.replace(/\\(.)/g, '$1') && /^[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^<>\s]*$/.test(href)) {
+        return `<${href}>`;
     }
+    return `[${content}](${serializeMarkdownDestination(href, title)})`;
+}
+/**
+ * Serializes a link or image destination with an optional title.
+ */
+function serializeMarkdownDestination(href, title) {
+    const destination = /[\s()<>]/.test(href) || !href ? `<${href.replace(/([<>\\])/g, '\\$1')}>` : href.replace(/\\/g, '\\\\');
+    return title ? `${destination} "${title.replace(/(["\\])/g, '\\$1')}"` : destination;
+}
+/**
+ * Escapes characters of a text node that would otherwise be interpreted as Markdown syntax.
+ */
+function escapeMarkdownText(text) {
+    return text
+        .replace(/([\\`*_[\]~<])/g, '\\$1')
+        .replace(/&(?=#?[a-zA-Z0-9]+;)/g, '\\&')
+        .replace(/\u00a0/g, '&nbsp;');
 }
 
 /**
@@ -24449,6 +25875,9 @@ class DataController extends EmitterMixin() {
         // converted to nothing. We therefore add `convertToModelFragment` as a last converter so it converts children of that
         // element to the document fragment so `<b>foo</b>` will still be converted to `foo` even if there is no converter for `<b>`.
         this.upcastDispatcher.on('text', convertText(), { priority: 'lowest' });
+        // Registered before the default element converter, so it runs right before it and collects the elements
+        // which only the children are converted for the content loss report.
+        this.upcastDispatcher.on('element', collectElementsWithoutConverter(), { priority: 'lowest' });
         this.upcastDispatcher.on('element', convertToModelFragment(), { priority: 'lowest' });
         this.upcastDispatcher.on('documentFragment', convertToModelFragment(), { priority: 'lowest' });
         ObservableMixin().prototype.decorate.call(this, 'init');
@@ -24661,7 +26090,12 @@ class DataController extends EmitterMixin() {
      * dataController.set( '<p>Foo</p>', { batchType: { isUndoable: true } } );
      * ```
      *
+     * If some of the data could not be converted (e.g. because there is no feature supporting it), the `contentLoss` event
+     * is fired with the `rootName` and the report created by
+     * {@link module:engine/conversion/contentlossreport~createContentLossReport `createContentLossReport()`}.
+     *
      * @fires set
+     * @fires contentLoss
      * @param data Input data as a string or an object containing the `rootName` - `data`
      * pairs to set data on multiple roots at once.
      * @param options Options for setting data.
@@ -24703,6 +26137,10 @@ class DataController extends EmitterMixin() {
                 const modelRoot = this.model.document.getRoot(rootName);
                 writer.remove(writer.createRangeIn(modelRoot));
                 writer.insert(this.parse(newData[rootName], modelRoot), modelRoot, 0);
+                const report = createContentLossReport(this.upcastDispatcher.conversionApi.consumable);
+                if (!report.isEmpty) {
+                    this.fire('contentLoss', { report, rootName });
+                }
             }
         });
     }
@@ -29156,6 +30594,7 @@ class Batch {
      * @see module:engine/model/model~Model#change
      * @param type A set of flags that specify the type of the batch. Batch type can alter how some of the features work
      * when encountering a given `Batch` instance (for example, when a feature listens to applied operations).
+     * Apart from the flags, the `origin` and `description` properties can be set to tag the batch.
      */
     constructor(type = {}) {
         if (typeof type === 'string') {
@@ -29169,12 +30608,27 @@ class Batch {
              */
             logWarning('batch-constructor-deprecated-string-type');
         }
-        const { isUndoable = true, isLocal = true, isUndo = false, isTyping = false } = type;
+        const { isUndoable = true, isLocal = true, isUndo = false, isTyping = false, origin = null, description = null } = type;
         this.operations = [];
         this.isUndoable = isUndoable;
         this.isLocal = isLocal;
         this.isUndo = isUndo;
         this.isTyping = isTyping;
+        /**
+         * An optional tag describing who or what created the batch, for example, a user ID or a plugin name.
+         * It allows features to tell batches apart, for instance to undo only the changes made by a given user:
+         *
+         * ```ts
+         * model.enqueueChange( { origin: 'AutoFormat' }, writer => { ... } );
+         *
+         * editor.execute( 'undo', batch => batch.origin == 'AutoFormat' );
+         * ```
+         */
+        this.origin = origin;
+        /**
+         * An optional, human-readable description of the change, for example, displayed in the undo history.
+         */
+        this.description = description;
     }
     /**
      * The type of the batch.
@@ -30565,6 +32019,38 @@ class History {
     getUndoneOperation(undoingOperation) {
         return this._undoPairs.get(undoingOperation);
     }
+    /**
+     * Removes operations with base versions lower than the given one from the history, so they can be garbage collected.
+     * The history version does not change.
+     *
+     * It should be used only when no feature needs to transform anything by the removed operations anymore,
+     * for example, when the undo steps created from them were discarded.
+     *
+     * @param toBaseVersion Base version up to which operations should be removed (exclusive).
+     */
+    removeOperationsBefore(toBaseVersion) {
+        const index = this._operations.findIndex(operation => operation.baseVersion >= toBaseVersion);
+        const removedOperations = this._operations.splice(0, index == -1 ? this._operations.length : index);
+        if (!removedOperations.length) {
+            return;
+        }
+        const removedOperationsSet = new Set(removedOperations);
+        for (const [undoingOperation, undoneOperation] of this._undoPairs) {
+            if (removedOperationsSet.has(undoingOperation) || removedOperationsSet.has(undoneOperation)) {
+                this._undoPairs.delete(undoingOperation);
+            }
+        }
+        for (const operation of removedOperations) {
+            this._undoneOperations.delete(operation);
+        }
+        for (const gapFrom of this._gaps.keys()) {
+            if (gapFrom < toBaseVersion) {
+                this._gaps.delete(gapFrom);
+            }
+        }
+        // Indexes of the remaining operations have changed.
+        this._baseVersionToOperationIndex = new Map(this._operations.map((operation, index) => [operation.baseVersion, index]));
+    }
     /**
      * Resets the history of operations.
      */
@@ -36668,4 +38154,4 @@ function addPaddingRules(stylesProcessor) {
     stylesProcessor.setStyleRelation('padding', ['padding-top', 'padding-right', 'padding-bottom', 'padding-left']);
 }
 
-export { AttributeElement, AttributeOperation, BubblingEventInfo, ClickObserver, Conversion, DataController, DataTransfer, DocumentFragment, DocumentSelection, DomConverter, DomEventData, DomEventObserver, DowncastWriter, EditingController, Element, FocusObserver, History, HtmlDataProcessor, InsertOperation, LivePosition, LiveRange, MarkerOperation, Matcher, MergeOperation, Model, MouseObserver, MoveOperation, NoOperation, Observer, OperationFactory, Position, Range, RenameOperation, Renderer, RootAttributeOperation, RootOperation, SplitOperation, StylesProcessor, TabObserver, Text, TextProxy, TreeWalker, UpcastWriter, View, AttributeElement as ViewAttributeElement, ContainerElement as ViewContainerElement, Document$1 as ViewDocument, DocumentFragment$1 as ViewDocumentFragment, EditableElement as ViewEditableElement, Element$1 as ViewElement, EmptyElement as ViewEmptyElement, RawElement as ViewRawElement, RootEditableElement as ViewRootEditableElement, Text$1 as ViewText, TreeWalker$1 as ViewTreeWalker, UIElement as ViewUIElement, addBackgroundRules, addBorderRules, addMarginRules, addPaddingRules, disablePlaceholder, enablePlaceholder, findOptimalInsertionRange, getBoxSidesShorthandValue, getBoxSidesValueReducer, getBoxSidesValues, getFillerOffset$4 as getFillerOffset, getPositionShorthandNormalizer, getShorthandValues, hidePlaceholder, isAttachment, isColor, isLength, isLineStyle, isPercentage, isPosition, isRepeat, isURL, needsPlaceholder, showPlaceholder, transformSets };
+export { AttributeElement, AttributeOperation, BubblingEventInfo, ClickObserver, Conversion, DataController, DataTransfer, DocumentFragment, DocumentSelection, DomConverter, DomEventData, DomEventObserver, DowncastWriter, EditingController, Element, FocusObserver, History, HtmlDataProcessor, HtmlSanitizer, InsertOperation, LivePosition, LiveRange, MarkdownDataProcessor, MarkerOperation, Matcher, MergeOperation, Model, MouseObserver, MoveOperation, NoOperation, Observer, OperationFactory, Position, Range, RenameOperation, Renderer, RootAttributeOperation, RootOperation, SplitOperation, StylesProcessor, TabObserver, Text, TextProxy, TreeWalker, UpcastWriter, View, AttributeElement as ViewAttributeElement, ContainerElement as ViewContainerElement, Document$1 as ViewDocument, DocumentFragment$1 as ViewDocumentFragment, EditableElement as ViewEditableElement, Element$1 as ViewElement, EmptyElement as ViewEmptyElement, RawElement as ViewRawElement, RootEditableElement as ViewRootEditableElement, Text$1 as ViewText, TreeWalker$1 as ViewTreeWalker, UIElement as ViewUIElement, addBackgroundRules, addBorderRules, addMarginRules, addPaddingRules, createContentLossReport, disablePlaceholder, enablePlaceholder, findOptimalInsertionRange, getBoxSidesShorthandValue, getBoxSidesValueReducer, getBoxSidesValues, getFillerOffset$4 as getFillerOffset, getPositionShorthandNormalizer, getShorthandValues, hidePlaceholder, isAttachment, isColor, isLength, isLineStyle, isPercentage, isPosition, isRepeat, isURL, needsPlaceholder, showPlaceholder, transformSets };
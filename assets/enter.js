@@ -387,6 +387,9 @@ class ShiftEnter extends Plugin {
         });
         view.addObserver(EnterObserver);
         editor.commands.add('shiftEnter', new ShiftEnterCommand(editor));
+        // The default keystroke is handled in the `enter` event below, so the other features listening
+        // to that event (e.g. lists or code blocks) can handle the soft break first.
+        editor.keystrokes.set('Shift+Enter', 'shiftEnter', { isHandledByFeature: true });
         this.listenTo(viewDocument, 'enter', (evt, data) => {
             // When not in composition, we handle the action, so prevent the default one.
             // When in composition, it's the browser who modify the DOM (renderer is disabled).
@@ -397,6 +400,10 @@ class ShiftEnter extends Plugin {
             if (!data.isSoft) {
                 return;
             }
+            // The soft break keystroke could be remapped in the editor configuration.
+            if (!editor.keystrokes.hasCommandKeystroke('shiftEnter', 'Shift+Enter')) {
+                return;
+            }
             editor.execute('shiftEnter');
             view.scrollToTheSelection();
         }, { priority: 'low' });
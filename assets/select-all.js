@@ -3,7 +3,6 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 import { Command, Plugin } from '@ckeditor/ckeditor5-core';
-import { parseKeystroke, getCode } from '@ckeditor/ckeditor5-utils';
 import { ButtonView } from '@ckeditor/ckeditor5-ui';
 
 /**
@@ -77,7 +76,6 @@ function isSelectAllScope(schema, element) {
 /**
  * @module select-all/selectallediting
  */
-const SELECT_ALL_KEYSTROKE = parseKeystroke('Ctrl+A');
 /**
  * The select all editing feature.
  *
@@ -96,14 +94,12 @@ class SelectAllEditing extends Plugin {
      */
     init() {
         const editor = this.editor;
-        const view = editor.editing.view;
-        const viewDocument = view.document;
         editor.commands.add('selectAll', new SelectAllCommand(editor));
-        this.listenTo(viewDocument, 'keydown', (eventInfo, domEventData) => {
-            if (getCode(domEventData) === SELECT_ALL_KEYSTROKE) {
-                editor.execute('selectAll');
-                domEventData.preventDefault();
-            }
+        editor.keystrokes.set('Ctrl+A', 'selectAll');
+        editor.accessibility.addKeystrokeInfos({
+            keystrokes: [
+                { label: editor.t('Select all'), commandName: 'selectAll' }
+            ]
         });
     }
 }
@@ -143,10 +139,14 @@ class SelectAllUI extends Plugin {
             view.set({
                 label: t('Select all'),
                 icon: selectAllIcon,
-                keystroke: 'Ctrl+A',
+                keystroke: editor.keystrokes.getCommandKeystrokes('selectAll')[0],
                 tooltip: true
             });
             view.bind('isEnabled').to(command, 'isEnabled');
+            // Display the keystroke remapped by the user. The listener is removed together with the view.
+            view.listenTo(editor.keystrokes.commandKeystrokes, 'change:selectAll', () => {
+                view.keystroke = editor.keystrokes.getCommandKeystrokes('selectAll')[0];
+            });
             // Execute the command.
             this.listenTo(view, 'execute', () => {
                 editor.execute('selectAll');
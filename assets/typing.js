@@ -4,7 +4,8 @@
  */
 import { Command, Plugin } from '@ckeditor/ckeditor5-core';
 import { env, EventInfo, count, keyCodes, isInsideSurrogatePair, isInsideCombinedSymbol, isInsideEmojiSequence, ObservableMixin } from '@ckeditor/ckeditor5-utils';
-import { Observer, FocusObserver, DomEventData, BubblingEventInfo } from '@ckeditor/ckeditor5-engine';
+import { Observer, FocusObserver, DomEventData, BubblingEventInfo, LiveRange } from '@ckeditor/ckeditor5-engine';
+import { ButtonView } from '@ckeditor/ckeditor5-ui';
 import { escapeRegExp } from 'lodash-es';
 
 /**
@@ -942,6 +943,7 @@ class Delete extends Plugin {
         const modelDocument = editor.model.document;
         view.addObserver(DeleteObserver);
         this._undoOnBackspace = false;
+        this._revertOnBackspace = null;
         const deleteForwardCommand = new DeleteCommand(editor, 'forward');
         // Register `deleteForward` command and add `forwardDelete` command as an alias for backward compatibility.
         editor.commands.add('deleteForward', deleteForwardCommand);
@@ -968,6 +970,28 @@ class Delete extends Plugin {
             editor.execute(commandName, commandData);
             view.scrollToTheSelection();
         }, { priority: 'low' });
+        this.listenTo(viewDocument, 'delete', (evt, data) => {
+            const revertData = this._revertOnBackspace;
+            if (revertData && data.direction == 'backward' && data.sequence == 1 && data.unit == 'codePoint') {
+                this._clearRevertOnBackspace();
+                this.fire('revertOnBackspace', revertData);
+                data.preventDefault();
+                evt.stop();
+            }
+        }, { context: '$capture' });
+        this.listenTo(modelDocument, 'change', () => {
+            this._clearRevertOnBackspace();
+        });
+        // The default action of the event. Restores the original text of all changes. It is called last
+        // so other features can alter the reverted changes or prevent reverting by stopping the event.
+        this.on('revertOnBackspace', (evt, { changes }) => {
+            editor.model.enqueueChange(writer => {
+                for (const { range, text, attributes } of Array.from(changes).reverse()) {
+                    editor.model.insertContent(writer.createText(text, attributes), range);
+                }
+            });
+            view.scrollToTheSelection();
+        }, { priority: 'lowest' });
         if (this.editor.plugins.has('UndoEditing')) {
             this.listenTo(viewDocument, 'delete', (evt, data) => {
                 if (this._undoOnBackspace && data.direction == 'backward' && data.sequence == 1 && data.unit == 'codePoint') {
@@ -992,6 +1016,44 @@ class Delete extends Plugin {
             this._undoOnBackspace = true;
         }
     }
+    /**
+     * If the next user action after calling this method is pressing backspace, the given automatic changes
+     * (e.g. made by a text transformation or an autoformatter) will be reverted to the text that was originally typed
+     * and the {@link #event:revertOnBackspace `revertOnBackspace`} event will be fired.
+     *
+     * Unlike {@link #requestUndoOnBackspace}, it does not require the {@link module:undo/undoediting~UndoEditing} plugin.
+     *
+     * ```ts
+     * deletePlugin.requestRevertOnBackspace( {
+     * 	changes: [ { range: rangeOfInsertedText, text: '(c)', attributes: { bold: true } } ],
+     * 	source: myAutoformatRule
+     * } );
+     * ```
+     *
+     * @param revertData
+     * @param revertData.changes The ranges of the text inserted by the automatic change, along with the original text
+     * and its attributes. The ranges must be located in the same order as in the document.
+     * @param revertData.source Any value identifying the feature or the rule that made the change.
+     */
+    requestRevertOnBackspace(revertData) {
+        this._clearRevertOnBackspace();
+        this._revertOnBackspace = {
+            ...revertData,
+            changes: revertData.changes.map(change => ({ ...change, range: LiveRange.fromRange(change.range) }))
+        };
+    }
+    /**
+     * Discards the changes requested to be reverted by {@link #requestRevertOnBackspace}.
+     */
+    _clearRevertOnBackspace() {
+        if (!this._revertOnBackspace) {
+            return;
+        }
+        for (const { range } of this._revertOnBackspace.changes) {
+            range.detach();
+        }
+        this._revertOnBackspace = null;
+    }
 }
 
 /**
@@ -1601,6 +1663,75 @@ function isBetweenDifferentAttributes(position, attributes) {
     return false;
 }
 
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module typing/texttransformationcommand
+ */
+/**
+ * The text transformation command. It is used by the {@link module:typing/texttransformation~TextTransformation text transformation
+ * feature} to switch transformations on and off at runtime.
+ *
+ * ```ts
+ * // Toggle all transformations.
+ * editor.execute( 'textTransformation' );
+ *
+ * // Switch off only the quotes.
+ * editor.execute( 'textTransformation', { group: 'quotes', forceValue: false } );
+ * ```
+ */
+class TextTransformationCommand extends Command {
+    /**
+     * @inheritDoc
+     */
+    constructor(editor) {
+        super(editor);
+        this.set('disabledGroups', []);
+        // Switching transformations does not change the data so it should be possible in read-only mode.
+        this.affectsData = false;
+        this.value = true;
+    }
+    /**
+     * @inheritDoc
+     */
+    refresh() {
+        this.isEnabled = true;
+    }
+    /**
+     * Checks whether transformations from the given group are active. Transformations without a group
+     * are active as long as the {@link #value} is `true`.
+     *
+     * @param group The name of the transformation group, e.g. `'quotes'`.
+     */
+    isGroupEnabled(group) {
+        return this.value && (!group || !this.disabledGroups.includes(group));
+    }
+    /**
+     * Executes the command. Toggles all transformations or, if the `group` option was passed, only transformations
+     * from the given group.
+     *
+     * @param options Command options.
+     * @param options.group The name of the transformation group to toggle.
+     * @param options.forceValue If set, the transformations will be switched on (`true`) or off (`false`) instead of being toggled.
+     * @fires execute
+     */
+    execute(options = {}) {
+        const { group, forceValue } = options;
+        if (!group) {
+            this.value = forceValue === undefined ? !this.value : forceValue;
+            return;
+        }
+        const isGroupEnabled = forceValue === undefined ? this.disabledGroups.includes(group) : forceValue;
+        const disabledGroups = this.disabledGroups.filter(name => name != group);
+        if (!isGroupEnabled) {
+            disabledGroups.push(group);
+        }
+        this.disabledGroups = disabledGroups;
+    }
+}
+
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
@@ -1638,7 +1769,13 @@ const TRANSFORMATIONS = {
     quotesSecondaryEnGb: { from: buildQuotesRegExp('"'), to: [null, '“', null, '”'] },
     // Polish
     quotesPrimaryPl: { from: buildQuotesRegExp('"'), to: [null, '„', null, '”'] },
-    quotesSecondaryPl: { from: buildQuotesRegExp('\''), to: [null, '‚', null, '’'] }
+    quotesSecondaryPl: { from: buildQuotesRegExp('\''), to: [null, '‚', null, '’'] },
+    // German
+    quotesPrimaryDe: { from: buildQuotesRegExp('"'), to: [null, '„', null, '“'] },
+    quotesSecondaryDe: { from: buildQuotesRegExp('\''), to: [null, '‚', null, '‘'] },
+    // French
+    quotesPrimaryFr: { from: buildQuotesRegExp('"'), to: [null, '«', null, '»'] },
+    quotesSecondaryFr: { from: buildQuotesRegExp('\''), to: [null, '“', null, '”'] }
 };
 // Transformation groups.
 const TRANSFORMATION_GROUPS = {
@@ -1651,6 +1788,13 @@ const TRANSFORMATION_GROUPS = {
     typography: ['horizontalEllipsis', 'enDash', 'emDash'],
     quotes: ['quotesPrimary', 'quotesSecondary']
 };
+// Quotes used by the `quotes` group for the given content language. Languages that are not listed here use the English (US) quotes.
+const LOCALIZED_QUOTES = {
+    'en-gb': ['quotesPrimaryEnGb', 'quotesSecondaryEnGb'],
+    pl: ['quotesPrimaryPl', 'quotesSecondaryPl'],
+    de: ['quotesPrimaryDe', 'quotesSecondaryDe'],
+    fr: ['quotesPrimaryFr', 'quotesSecondaryFr']
+};
 // A set of default transformations provided by the feature.
 const DEFAULT_TRANSFORMATIONS = [
     'symbols',
@@ -1681,7 +1825,11 @@ class TextTransformation extends Plugin {
         super(editor);
         editor.config.define('typing', {
             transformations: {
-                include: DEFAULT_TRANSFORMATIONS
+                include: DEFAULT_TRANSFORMATIONS,
+                excludeIn: {
+                    elements: ['codeBlock'],
+                    attributes: ['code']
+                }
             }
         });
     }
@@ -1689,11 +1837,28 @@ class TextTransformation extends Plugin {
      * @inheritDoc
      */
     init() {
-        const model = this.editor.model;
-        const modelSelection = model.document.selection;
-        modelSelection.on('change:range', () => {
-            // Disable plugin when selection is inside a code block.
-            this.isEnabled = !modelSelection.anchor.parent.is('element', 'codeBlock');
+        const editor = this.editor;
+        const modelSelection = editor.model.document.selection;
+        const excludeIn = editor.config.get('typing.transformations.excludeIn');
+        const command = new TextTransformationCommand(editor);
+        editor.commands.add('textTransformation', command);
+        // Disable plugin when selection is inside an excluded element or on an excluded text attribute (e.g. in a code block).
+        modelSelection.on('change', () => {
+            if (isSelectionExcluded(modelSelection, excludeIn)) {
+                this.forceDisabled('TextTransformationExcludeIn');
+            }
+            else {
+                this.clearForceDisabled('TextTransformationExcludeIn');
+            }
+        });
+        // Disable plugin when all transformations were switched off using the command.
+        this.listenTo(command, 'change:value', (evt, name, value) => {
+            if (value) {
+                this.clearForceDisabled('TextTransformationCommand');
+            }
+            else {
+                this.forceDisabled('TextTransformationCommand');
+            }
         });
         this._enableTransformationWatchers();
     }
@@ -1704,9 +1869,21 @@ class TextTransformation extends Plugin {
         const editor = this.editor;
         const model = editor.model;
         const deletePlugin = editor.plugins.get('Delete');
-        const normalizedTransformations = normalizeTransformations(editor.config.get('typing.transformations'));
+        const command = editor.commands.get('textTransformation');
+        const normalizedTransformations = normalizeTransformations(editor.config.get('typing.transformations'), editor.locale.contentLanguage);
+        // Transformations reverted with Backspace are not applied again until the current word ends.
+        const suppressedTransformations = new Set();
         const testCallback = (text) => {
+            if (/\s$/.test(text)) {
+                suppressedTransformations.clear();
+            }
             for (const normalizedTransformation of normalizedTransformations) {
+                if (!command.isGroupEnabled(normalizedTransformation.group) || suppressedTransformations.has(normalizedTransformation)) {
+                    continue;
+                }
+                if (normalizedTransformation.excludeIn && isSelectionExcluded(model.document.selection, normalizedTransformation.excludeIn)) {
+                    continue;
+                }
                 const from = normalizedTransformation.from;
                 const match = from.test(text);
                 if (match) {
@@ -1723,6 +1900,7 @@ class TextTransformation extends Plugin {
             const matches = from.exec(data.text);
             const replaces = to(matches.slice(1));
             const matchedRange = data.range;
+            const changes = [];
             let changeIndex = matches.index;
             model.enqueueChange(writer => {
                 for (let i = 1; i < matches.length; i++) {
@@ -1736,13 +1914,29 @@ class TextTransformation extends Plugin {
                     const replaceRange = model.createRange(replacePosition, replacePosition.getShiftedBy(match.length));
                     const attributes = getTextAttributesAfterPosition(replacePosition);
                     model.insertContent(writer.createText(replaceWith, attributes), replaceRange);
+                    changes.push({
+                        range: model.createRange(replacePosition, replacePosition.getShiftedBy(replaceWith.length)),
+                        text: match,
+                        attributes
+                    });
                     changeIndex += replaceWith.length;
                 }
                 model.enqueueChange(() => {
-                    deletePlugin.requestUndoOnBackspace();
+                    deletePlugin.requestRevertOnBackspace({ changes, source: data.normalizedTransformation });
                 });
             });
         });
+        this.listenTo(deletePlugin, 'revertOnBackspace', (evt, { source }) => {
+            if (normalizedTransformations.includes(source)) {
+                suppressedTransformations.add(source);
+            }
+        });
+        this.listenTo(model.document.selection, 'change:range', (evt, { directChange }) => {
+            // Moving the selection to another place ends the current word.
+            if (directChange) {
+                suppressedTransformations.clear();
+            }
+        });
         watcher.bind('isEnabled').to(this);
     }
 }
@@ -1789,42 +1983,152 @@ function getTextAttributesAfterPosition(position) {
 function buildQuotesRegExp(quoteCharacter) {
     return new RegExp(`(^|\\s)(${quoteCharacter})([^${quoteCharacter}]*)(${quoteCharacter})$`);
 }
+/**
+ * Checks whether the selection is inside one of the `excludeIn.elements` model elements
+ * or has one of the `excludeIn.attributes` text attributes set.
+ */
+function isSelectionExcluded(selection, excludeIn) {
+    const { elements = [], attributes = [] } = excludeIn || {};
+    const position = selection.focus;
+    if (!position) {
+        return false;
+    }
+    const isInExcludedElement = position.getAncestors().some(ancestor => ancestor.is('element') && elements.includes(ancestor.name));
+    return isInExcludedElement || attributes.some(attribute => selection.hasAttribute(attribute));
+}
 /**
  * Reads text transformation config and returns normalized array of transformations objects.
+ *
+ * @param config The `typing.transformations` configuration.
+ * @param language The content language used to pick the quotes for the `quotes` group.
  */
-function normalizeTransformations(config) {
+function normalizeTransformations(config, language) {
     const extra = config.extra || [];
     const remove = config.remove || [];
-    const isNotRemoved = (transformation) => !remove.includes(transformation);
+    // Removing the `quotesPrimary` or `quotesSecondary` transformation removes its localized variants as well.
+    const isNotRemoved = (transformation) => !remove.includes(transformation) && !remove.includes(getGenericQuotes(transformation));
     const configured = config.include.concat(extra).filter(isNotRemoved);
-    return expandGroupsAndRemoveDuplicates(configured)
-        .filter(isNotRemoved) // Filter out 'remove' transformations as they might be set in group.
-        .map(transformation => (typeof transformation == 'string' && TRANSFORMATIONS[transformation] ? TRANSFORMATIONS[transformation] : transformation))
+    return Array.from(expandGroupsAndRemoveDuplicates(configured, language))
+        .filter(([transformation]) => isNotRemoved(transformation)) // Filter out 'remove' transformations as they might be set in group.
+        .map(([transformation, group]) => (typeof transformation == 'string' && TRANSFORMATIONS[transformation] ?
+        [TRANSFORMATIONS[transformation], group] :
+        [transformation, group]))
         // Filter out transformations set as string that has not been found.
-        .filter((transformation) => typeof transformation === 'object')
-        .map(transformation => ({
+        .filter(([transformation]) => typeof transformation === 'object')
+        .map(([transformation, group]) => ({
         from: normalizeFrom(transformation.from),
-        to: normalizeTo(transformation.to)
+        to: normalizeTo(transformation.to),
+        group: transformation.group || group,
+        excludeIn: transformation.excludeIn
     }));
 }
 /**
  * Reads definitions and expands named groups if needed to transformation names.
  * This method also removes duplicated named transformations if any.
+ *
+ * Returns a map of transformations to the names of groups they were expanded from.
  */
-function expandGroupsAndRemoveDuplicates(definitions) {
-    // Set is using to make sure that transformation names are not duplicated.
-    const definedTransformations = new Set();
+function expandGroupsAndRemoveDuplicates(definitions, language) {
+    // Map is using to make sure that transformation names are not duplicated.
+    const definedTransformations = new Map();
     for (const transformationOrGroup of definitions) {
         if (typeof transformationOrGroup == 'string' && TRANSFORMATION_GROUPS[transformationOrGroup]) {
-            for (const transformation of TRANSFORMATION_GROUPS[transformationOrGroup]) {
-                definedTransformations.add(transformation);
+            const transformations = transformationOrGroup == 'quotes' ?
+                getLocalizedQuotes(language) :
+                TRANSFORMATION_GROUPS[transformationOrGroup];
+            for (const transformation of transformations) {
+                definedTransformations.set(transformation, transformationOrGroup);
             }
         }
-        else {
-            definedTransformations.add(transformationOrGroup);
+        else if (!definedTransformations.has(transformationOrGroup)) {
+            definedTransformations.set(transformationOrGroup, getTransformationGroup(transformationOrGroup));
+        }
+    }
+    return definedTransformations;
+}
+/**
+ * Returns names of the quote transformations matching the given content language. Both the full language code (`'en-gb'`)
+ * and its primary subtag (`'pl'` for `'pl-pl'`) are checked. Falls back to the English (US) quotes.
+ */
+function getLocalizedQuotes(language) {
+    const code = (language || '').toLowerCase();
+    return LOCALIZED_QUOTES[code] || LOCALIZED_QUOTES[code.split('-')[0]] || TRANSFORMATION_GROUPS.quotes;
+}
+/**
+ * Returns the name of the group the named transformation belongs to so it can be toggled along with its group
+ * even if it was configured by its own name.
+ */
+function getTransformationGroup(transformation) {
+    if (typeof transformation != 'string') {
+        return undefined;
+    }
+    if (getGenericQuotes(transformation)) {
+        return 'quotes';
+    }
+    return Object.keys(TRANSFORMATION_GROUPS).find(group => TRANSFORMATION_GROUPS[group].includes(transformation));
+}
+/**
+ * Returns the name of the English (US) quotes transformation that the given localized quotes transformation replaces,
+ * e.g. `'quotesPrimary'` for `'quotesPrimaryPl'`.
+ */
+function getGenericQuotes(transformation) {
+    for (const names of Object.values(LOCALIZED_QUOTES)) {
+        const index = names.indexOf(transformation);
+        if (index != -1) {
+            return TRANSFORMATION_GROUPS.quotes[index];
         }
     }
-    return Array.from(definedTransformations);
+    return undefined;
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module typing/texttransformationui
+ */
+/**
+ * The text transformation UI plugin. It introduces the `'textTransformation'` toolbar button which switches
+ * the {@link module:typing/texttransformation~TextTransformation text transformations} on and off.
+ */
+class TextTransformationUI extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get requires() {
+        return [TextTransformation];
+    }
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'TextTransformationUI';
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        const editor = this.editor;
+        editor.ui.componentFactory.add('textTransformation', locale => {
+            const command = editor.commands.get('textTransformation');
+            const view = new ButtonView(locale);
+            const t = locale.t;
+            view.set({
+                label: t('Smart typography'),
+                withText: true,
+                tooltip: true,
+                isToggleable: true
+            });
+            view.bind('isOn', 'isEnabled').to(command, 'value', 'isEnabled');
+            // Execute the command.
+            this.listenTo(view, 'execute', () => {
+                editor.execute('textTransformation');
+                editor.editing.view.focus();
+            });
+            return view;
+        });
+    }
 }
 
 /**
@@ -1943,4 +2247,4 @@ function inlineHighlight(editor, attributeName, tagName, className) {
     });
 }
 
-export { Delete, Input, InsertTextCommand, TextTransformation, TextWatcher, TwoStepCaretMovement, Typing, findAttributeRange, findAttributeRangeBound, getLastTextLine, inlineHighlight };
+export { Delete, Input, InsertTextCommand, TextTransformation, TextTransformationCommand, TextTransformationUI, TextWatcher, TwoStepCaretMovement, Typing, findAttributeRange, findAttributeRangeBound, getLastTextLine, inlineHighlight };
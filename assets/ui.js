@@ -2512,6 +2512,7 @@ class ButtonView extends View {
         this.set('role', undefined);
         this.set('tabindex', -1);
         this.set('tooltip', false);
+        this.set('tooltipDescription', undefined);
         this.set('tooltipPosition', 's');
         this.set('type', 'button');
         this.set('withText', false);
@@ -2547,6 +2548,7 @@ class ButtonView extends View {
                 'aria-disabled': bind.if('isEnabled', true, value => !value),
                 'aria-pressed': bind.to('isOn', value => this.isToggleable ? String(!!value) : false),
                 'data-cke-tooltip-text': bind.to('_tooltipString'),
+                'data-cke-tooltip-description': bind.to('tooltipDescription'),
                 'data-cke-tooltip-position': bind.to('tooltipPosition')
             },
             children: this.children,
@@ -8899,6 +8901,18 @@ const BALLOON_CLASS = 'ck-tooltip';
  *
  * The tooltip will show up whenever the user moves the mouse over the element or the element gets focus in DOM.
  *
+ * # Descriptions and keystrokes
+ *
+ * The tooltip text is displayed as the title of the tooltip. To display a longer description below it,
+ * use the `data-cke-tooltip-description` attribute. To display a keystroke next to the title, use the `data-cke-tooltip-keystroke`
+ * attribute. The keystroke is displayed in the format of the user's environment (e.g. <kbd>⌘B</kbd> on macOS):
+ *
+ * ```ts
+ * domElement.dataset.ckeTooltipText = 'Bold';
+ * domElement.dataset.ckeTooltipDescription = 'Makes the selected text bold.';
+ * domElement.dataset.ckeTooltipKeystroke = 'Ctrl+B';
+ * ```
+ *
  * # Positioning tooltips
  *
  * To change the position of the tooltip, use the `data-cke-tooltip-position` attribute (`s`, `se`, `sw`, `n`, `e`, or `w`):
@@ -8919,7 +8933,8 @@ const BALLOON_CLASS = 'ck-tooltip';
  *
  * # Styling tooltips
  *
- * By default, the tooltip has `.ck-tooltip` class and its text inner `.ck-tooltip__text`.
+ * By default, the tooltip has `.ck-tooltip` class and its text inner `.ck-tooltip__text`. The keystroke and the description
+ * are displayed in the `.ck-tooltip__keystroke` and `.ck-tooltip__description` elements.
  *
  * If your tooltip requires custom styling, using `data-cke-tooltip-class` attribute will add additional class to the balloon
  * displaying the tooltip:
@@ -8933,6 +8948,23 @@ const BALLOON_CLASS = 'ck-tooltip';
  * .ck.ck-tooltip.my-class { color: red }
  * ```
  *
+ * # Delay
+ *
+ * The tooltip shows up after a delay that can be configured in milliseconds with the `ui.tooltip.delay` configuration option
+ * of the first editor (600 by default).
+ *
+ * # Displaying tooltips programmatically
+ *
+ * To display a tooltip without user interaction, for example, in an onboarding tour, use {@link #show}. Such tooltip
+ * stays visible until {@link #hide} is called:
+ *
+ * ```ts
+ * editor.ui.tooltipManager.show( boldButton.element, {
+ * 	text: 'Bold',
+ * 	description: 'Use this button to make the text stand out.'
+ * } );
+ * ```
+ *
  * **Note**: This class is a singleton. All editor instances re-use the same instance loaded by
  * {@link module:ui/editorui/editorui~EditorUI} of the first editor.
  */
@@ -8958,6 +8990,11 @@ class TooltipManager extends DomEmitterMixin() {
          * {@link module:core/editor/editorconfig~EditorConfig#balloonToolbar configuration}.
          */
         this._resizeObserver = null;
+        /**
+         * Whether the current tooltip was displayed with {@link #show} and should stay visible until {@link #hide} is called.
+         */
+        this._isShownProgrammatically = false;
+        editor.config.define('ui.tooltip.delay', 600);
         TooltipManager._editors.add(editor);
         // TooltipManager must be a singleton. Multiple instances would mean multiple tooltips attached
         // to the same DOM element with data-cke-tooltip-* attributes.
@@ -8966,7 +9003,12 @@ class TooltipManager extends DomEmitterMixin() {
         }
         TooltipManager._instance = this;
         this.tooltipTextView = new View(editor.locale);
-        this.tooltipTextView.set('text', '');
+        this.tooltipTextView.set({
+            text: '',
+            description: '',
+            keystroke: ''
+        });
+        const bind = this.tooltipTextView.bindTemplate;
         this.tooltipTextView.setTemplate({
             tag: 'span',
             attributes: {
@@ -8977,14 +9019,44 @@ class TooltipManager extends DomEmitterMixin() {
             },
             children: [
                 {
-                    text: this.tooltipTextView.bindTemplate.to('text')
+                    text: bind.to('text')
+                },
+                {
+                    tag: 'kbd',
+                    attributes: {
+                        class: [
+                            'ck',
+                            'ck-tooltip__keystroke',
+                            bind.if('keystroke', 'ck-hidden', keystroke => !keystroke)
+                        ]
+                    },
+                    children: [
+                        {
+                            text: bind.to('keystroke', keystroke => keystroke && getEnvKeystrokeText(keystroke))
+                        }
+                    ]
+                },
+                {
+                    tag: 'span',
+                    attributes: {
+                        class: [
+                            'ck',
+                            'ck-tooltip__description',
+                            bind.if('description', 'ck-hidden', description => !description)
+                        ]
+                    },
+                    children: [
+                        {
+                            text: bind.to('description')
+                        }
+                    ]
                 }
             ]
         });
         this.balloonPanelView = new BalloonPanelView(editor.locale);
         this.balloonPanelView.class = BALLOON_CLASS;
         this.balloonPanelView.content.add(this.tooltipTextView);
-        this._pinTooltipDebounced = debounce(this._pinTooltip, 600);
+        this._pinTooltipDebounced = debounce(this._pinTooltip, editor.config.get('ui.tooltip.delay'));
         this.listenTo(global.document, 'mouseenter', this._onEnterOrFocus.bind(this), { useCapture: true });
         this.listenTo(global.document, 'mouseleave', this._onLeaveOrBlur.bind(this), { useCapture: true });
         this.listenTo(global.document, 'focus', this._onEnterOrFocus.bind(this), { useCapture: true });
@@ -9020,6 +9092,30 @@ class TooltipManager extends DomEmitterMixin() {
             TooltipManager._instance = null;
         }
     }
+    /**
+     * Displays the tooltip attached to the given DOM element immediately. Unlike the tooltips displayed on the user interaction,
+     * it is not hidden when the mouse or the focus leaves the element, but when {@link #hide} is called.
+     *
+     * @param targetDomElement The DOM element the tooltip is attached to.
+     * @param options.text The title of the tooltip. Defaults to the `data-cke-tooltip-text` attribute of the element.
+     * @param options.description The description of the tooltip.
+     * @param options.keystroke The keystroke displayed next to the title, e.g. `'Ctrl+B'`.
+     * @param options.position The position of the tooltip (`s`, `se`, `sw`, `n`, `e`, or `w`).
+     * @param options.cssClass Additional CSS class of the balloon with the tooltip.
+     */
+    show(targetDomElement, options = {}) {
+        this._unpinTooltip();
+        this._pinTooltip(targetDomElement, { ...getTooltipData(targetDomElement), ...options });
+        this._isShownProgrammatically = true;
+    }
+    /**
+     * Hides the tooltip displayed with {@link #show}.
+     */
+    hide() {
+        if (this._isShownProgrammatically) {
+            this._unpinTooltip();
+        }
+    }
     /**
      * Returns {@link #balloonPanelView} {@link module:utils/dom/position~PositioningFunction positioning functions} for a given position
      * name.
@@ -9050,6 +9146,10 @@ class TooltipManager extends DomEmitterMixin() {
      * @param domEvent The DOM event.
      */
     _onEnterOrFocus(evt, { target }) {
+        // The tooltip displayed programmatically stays until it is hidden programmatically.
+        if (this._isShownProgrammatically) {
+            return;
+        }
         const elementWithTooltipAttribute = getDescendantWithTooltip(target);
         // Abort when there's no descendant needing tooltip.
         if (!elementWithTooltipAttribute) {
@@ -9071,6 +9171,9 @@ class TooltipManager extends DomEmitterMixin() {
      * @param domEvent The DOM event.
      */
     _onLeaveOrBlur(evt, { target, relatedTarget }) {
+        if (this._isShownProgrammatically) {
+            return;
+        }
         if (evt.name === 'mouseleave') {
             // Don't act when the event does not concern a DOM element (e.g. a mouseleave out of an entire document),
             if (!isElement(target)) {
@@ -9113,6 +9216,11 @@ class TooltipManager extends DomEmitterMixin() {
         if (!this._currentElementWithTooltip) {
             return;
         }
+        // The tooltip displayed programmatically follows the element instead of hiding.
+        if (this._isShownProgrammatically) {
+            this._updateTooltipPosition();
+            return;
+        }
         // When scrolling a container that has both the balloon and the current element (common ancestor), the balloon can remain
         // visible (e.g. scrolling ≤body>). Otherwise, to avoid glitches (clipping, lagging) better just hide the tooltip.
         // Also, don't do anything when scrolling an unrelated DOM element that has nothing to do with the current element and the balloon.
@@ -9125,16 +9233,18 @@ class TooltipManager extends DomEmitterMixin() {
      * Pins the tooltip to a specific DOM element.
      *
      * @param options.text Text of the tooltip to display.
+     * @param options.description The description displayed below the text.
+     * @param options.keystroke The keystroke displayed next to the text.
      * @param options.position The position of the tooltip.
      * @param options.cssClass Additional CSS class of the balloon with the tooltip.
      */
-    _pinTooltip(targetDomElement, { text, position, cssClass }) {
+    _pinTooltip(targetDomElement, { text, description = '', keystroke = '', position, cssClass }) {
         // Use the body collection of the first editor.
         const bodyViewCollection = first(TooltipManager._editors.values()).ui.view.body;
         if (!bodyViewCollection.has(this.balloonPanelView)) {
             bodyViewCollection.add(this.balloonPanelView);
         }
-        this.tooltipTextView.text = text;
+        this.tooltipTextView.set({ text, description, keystroke });
         this.balloonPanelView.pin({
             target: targetDomElement,
             positions: TooltipManager.getPositioningFunctions(position)
@@ -9169,6 +9279,7 @@ class TooltipManager extends DomEmitterMixin() {
         }
         this._currentElementWithTooltip = null;
         this._currentTooltipPosition = null;
+        this._isShownProgrammatically = false;
         if (this._resizeObserver) {
             this._resizeObserver.destroy();
         }
@@ -9218,6 +9329,8 @@ function getDescendantWithTooltip(element) {
 function getTooltipData(element) {
     return {
         text: element.dataset.ckeTooltipText,
+        description: element.dataset.ckeTooltipDescription || '',
+        keystroke: element.dataset.ckeTooltipKeystroke || '',
         position: (element.dataset.ckeTooltipPosition || 's'),
         cssClass: element.dataset.ckeTooltipClass || ''
     };
@@ -9496,6 +9609,113 @@ function getNormalizedConfig(editor) {
     };
 }
 
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * A helper displaying the keystrokes of a pending chord (e.g. <kbd>Ctrl</kbd>+<kbd>K</kbd> of the
+ * <kbd>Ctrl</kbd>+<kbd>K</kbd> <kbd>Ctrl</kbd>+<kbd>C</kbd> chord) in the lower left corner of the editable element
+ * while the editor waits for the next keystroke.
+ *
+ * See {@link module:utils/keystrokehandler~KeystrokeHandler#pendingChord}.
+ *
+ * @private
+ */
+class KeystrokeChordIndicator extends DomEmitterMixin() {
+    /**
+     * Creates a pending chord indicator for a given editor.
+     *
+     * @param editor
+     */
+    constructor(editor) {
+        super();
+        this.editor = editor;
+        this._balloonView = null;
+        this._textView = null;
+        this.listenTo(editor.keystrokes.pendingChord, 'change:keystrokes', (evt, name, keystrokes) => {
+            if (keystrokes.length) {
+                this._showBalloon(keystrokes);
+            }
+            else {
+                this._hideBalloon();
+            }
+        });
+    }
+    /**
+     * Destroys the indicator along with its view.
+     */
+    destroy() {
+        if (this._balloonView) {
+            // Balloon gets destroyed by the body collection.
+            this._balloonView.unpin();
+            this._balloonView = null;
+        }
+        this.stopListening();
+    }
+    /**
+     * Creates an instance of the {@link module:ui/panel/balloon/balloonpanelview~BalloonPanelView balloon panel}
+     * with the text announced to the assistive technologies.
+     */
+    _createBalloonView() {
+        const editor = this.editor;
+        const balloon = this._balloonView = new BalloonPanelView(editor.locale);
+        const textView = this._textView = new View(editor.locale);
+        textView.set('text', '');
+        textView.setTemplate({
+            tag: 'div',
+            attributes: {
+                class: ['ck', 'ck-keystroke-chord-indicator__text'],
+                'aria-live': 'polite'
+            },
+            children: [{ text: textView.bindTemplate.to('text') }]
+        });
+        balloon.content.add(textView);
+        balloon.set({
+            class: 'ck-keystroke-chord-indicator'
+        });
+        editor.ui.view.body.add(balloon);
+    }
+    /**
+     * Displays the balloon with the keystrokes of the pending chord.
+     */
+    _showBalloon(keystrokes) {
+        const editor = this.editor;
+        const t = editor.locale.t;
+        const editableElement = editor.ui.focusTracker.focusedElement || editor.ui.getEditableElement();
+        // No view means no body collection to append the balloon to.
+        if (!editor.ui.view || !editableElement) {
+            return;
+        }
+        if (!this._balloonView) {
+            this._createBalloonView();
+        }
+        const keystrokesText = keystrokes.map(keyCode => getEnvKeystrokeText([keyCode])).join(' ');
+        this._textView.text = t('%0 was pressed. Waiting for the next keystroke…', [keystrokesText]);
+        this._balloonView.pin({
+            target: editableElement,
+            positions: [
+                (editableRect, balloonRect) => ({
+                    top: editableRect.bottom - balloonRect.height - 5,
+                    left: editableRect.left + 5,
+                    name: 'editable_sw',
+                    config: {
+                        withArrow: false
+                    }
+                })
+            ]
+        });
+    }
+    /**
+     * Hides the balloon if already visible.
+     */
+    _hideBalloon() {
+        if (this._balloonView) {
+            this._balloonView.unpin();
+        }
+    }
+}
+
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
@@ -9536,6 +9756,7 @@ class EditorUI extends ObservableMixin() {
         this.focusTracker = new FocusTracker();
         this.tooltipManager = new TooltipManager(editor);
         this.poweredBy = new PoweredBy(editor);
+        this.keystrokeChordIndicator = new KeystrokeChordIndicator(editor);
         this.set('viewportOffset', this._readViewportOffsetFromConfig());
         this.once('ready', () => {
             this.isReady = true;
@@ -9577,6 +9798,7 @@ class EditorUI extends ObservableMixin() {
         this.focusTracker.destroy();
         this.tooltipManager.destroy(this.editor);
         this.poweredBy.destroy();
+        this.keystrokeChordIndicator.destroy();
         // Clean–up the references to the CKEditor instance stored in the native editable DOM elements.
         for (const domElement of this._editableElementsMap.values()) {
             domElement.ckeditorInstance = null;
@@ -10314,113 +10536,459 @@ class IframeView extends View {
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 /**
- * @module ui/notification/notification
+ * @module ui/notification/notificationtoastview
  */
-/* globals window */
 /**
- * The Notification plugin.
- *
- * This plugin sends a few types of notifications: `success`, `info` and `warning`. The notifications need to be
- * handled and displayed by a plugin responsible for showing the UI of the notifications. Using this plugin for dispatching
- * notifications makes it possible to switch the notifications UI.
+ * The view of a single notification displayed by the {@link module:ui/notification/notificationcenterview~NotificationCenterView}.
  *
- * Note that every unhandled and not stopped `warning` notification will be displayed as a system alert.
- * See {@link module:ui/notification/notification~Notification#showWarning}.
+ * It displays the title and the message of the notification, the action buttons and the button closing the notification.
  */
-class Notification extends ContextPlugin {
-    /**
-     * @inheritDoc
-     */
-    static get pluginName() {
-        return 'Notification';
-    }
-    /**
-     * @inheritDoc
-     */
-    init() {
-        // Each unhandled and not stopped `show:warning` event is displayed as a system alert.
-        this.on('show:warning', (evt, data) => {
-            window.alert(data.message); // eslint-disable-line no-alert
-        }, { priority: 'lowest' });
-    }
+class NotificationToastView extends View {
     /**
-     * Shows a success notification.
-     *
-     * By default, it fires the {@link #event:show:success `show:success` event} with the given `data`. The event namespace can be extended
-     * using the `data.namespace` option. For example:
-     *
-     * ```ts
-     * showSuccess( 'Image is uploaded.', {
-     * 	namespace: 'upload:image'
-     * } );
-     * ```
-     *
-     * will fire the `show:success:upload:image` event.
-     *
-     * You can provide the title of the notification:
-     *
-     * ```ts
-     * showSuccess( 'Image is uploaded.', {
-     * 	title: 'Image upload success'
-     * } );
-     * ```
+     * Creates an instance of the notification toast view.
      *
-     * @param message The content of the notification.
-     * @param data Additional data.
-     * @param data.namespace Additional event namespace.
+     * @param locale The locale instance.
+     * @param data The notification data.
+     * @param data.type The type of the notification: `'success'`, `'info'` or `'warning'`.
+     * @param data.message The content of the notification.
      * @param data.title The title of the notification.
+     * @param data.actions The actions displayed as buttons. Each action has a `label` and an `onExecute` callback.
      */
-    showSuccess(message, data = {}) {
-        this._showNotification({
-            message,
-            type: 'success',
-            namespace: data.namespace,
-            title: data.title
+    constructor(locale, { type, message, title = '', actions = [] }) {
+        super(locale);
+        const t = locale.t;
+        this.set('type', type);
+        this.set('message', message);
+        this.set('title', title);
+        /**
+         * The collection of the action buttons.
+         */
+        this.actionsView = this._createActionsView(actions);
+        /**
+         * The button closing the notification.
+         */
+        this.closeButtonView = new ButtonView(locale);
+        this.closeButtonView.set({
+            label: t('Close'),
+            icon: icons$1.cancel,
+            class: 'ck-notification-toast__close',
+            tooltip: true
+        });
+        this.closeButtonView.delegate('execute').to(this, 'close');
+        const bind = this.bindTemplate;
+        this.setTemplate({
+            tag: 'div',
+            attributes: {
+                class: [
+                    'ck',
+                    'ck-notification-toast',
+                    bind.to('type', type => `ck-notification-toast_${type}`)
+                ],
+                // Warnings interrupt the user. Other notifications are announced when the user is idle.
+                role: bind.to('type', type => type == 'warning' ? 'alert' : 'status')
+            },
+            children: [
+                {
+                    tag: 'div',
+                    attributes: {
+                        class: ['ck', 'ck-notification-toast__content']
+                    },
+                    children: [
+                        {
+                            tag: 'strong',
+                            attributes: {
+                                class: [
+                                    'ck',
+                                    'ck-notification-toast__title',
+                                    bind.if('title', 'ck-hidden', title => !title)
+                                ]
+                            },
+                            children: [{ text: bind.to('title') }]
+                        },
+                        {
+                            tag: 'span',
+                            attributes: {
+                                class: ['ck', 'ck-notification-toast__message']
+                            },
+                            children: [{ text: bind.to('message') }]
+                        }
+                    ]
+                },
+                this.actionsView,
+                this.closeButtonView
+            ]
         });
     }
     /**
-     * Shows an information notification.
-     *
-     * By default, it fires the {@link #event:show:info `show:info` event} with the given `data`. The event namespace can be extended
-     * using the `data.namespace` option. For example:
-     *
-     * ```ts
-     * showInfo( 'Editor is offline.', {
-     * 	namespace: 'editor:status'
-     * } );
-     * ```
-     *
-     * will fire the `show:info:editor:status` event.
-     *
-     * You can provide the title of the notification:
-     *
-     * ```ts
-     * showInfo( 'Editor is offline.', {
-     * 	title: 'Network information'
-     * } );
-     * ```
-     *
-     * @param message The content of the notification.
-     * @param data Additional data.
-     * @param data.namespace Additional event namespace.
-     * @param data.title The title of the notification.
+     * Creates the view with the action buttons. Executing an action closes the notification.
      */
-    showInfo(message, data = {}) {
-        this._showNotification({
-            message,
-            type: 'info',
-            namespace: data.namespace,
-            title: data.title
+    _createActionsView(actions) {
+        const actionsView = new View(this.locale);
+        const buttons = this.createCollection();
+        for (const { label, onExecute } of actions) {
+            const buttonView = new ButtonView(this.locale);
+            buttonView.set({
+                label,
+                withText: true,
+                class: 'ck-notification-toast__action'
+            });
+            buttonView.on('execute', () => {
+                onExecute();
+                this.fire('close');
+            });
+            buttons.add(buttonView);
+        }
+        actionsView.setTemplate({
+            tag: 'div',
+            attributes: {
+                class: [
+                    'ck',
+                    'ck-notification-toast__actions',
+                    actions.length ? '' : 'ck-hidden'
+                ]
+            },
+            children: buttons
         });
+        return actionsView;
     }
-    /**
-     * Shows a warning notification.
-     *
-     * By default, it fires the {@link #event:show:warning `show:warning` event}
-     * with the given `data`. The event namespace can be extended using the `data.namespace` option. For example:
-     *
-     * ```ts
-     * showWarning( 'Image upload error.', {
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/notification/notificationcenterview
+ */
+/**
+ * The notification center view. It displays the stacked {@link module:ui/notification/notificationtoastview~NotificationToastView toasts}
+ * and the panel with the history of the recent notifications.
+ *
+ * The toasts are rendered in an ARIA live region, so the assistive technologies announce them.
+ */
+class NotificationCenterView extends View {
+    /**
+     * @inheritDoc
+     */
+    constructor(locale) {
+        super(locale);
+        const t = locale.t;
+        const bind = this.bindTemplate;
+        this.set('isHistoryVisible', false);
+        /**
+         * The collection of the displayed toasts.
+         */
+        this.toasts = this.createCollection();
+        /**
+         * The collection of the entries of the history panel, the most recent first.
+         */
+        this.historyItems = this.createCollection();
+        /**
+         * The button closing the history panel.
+         */
+        this.closeHistoryButtonView = new ButtonView(locale);
+        this.closeHistoryButtonView.set({
+            label: t('Close'),
+            icon: icons$1.cancel,
+            tooltip: true
+        });
+        this.closeHistoryButtonView.on('execute', () => {
+            this.isHistoryVisible = false;
+        });
+        /**
+         * The keystroke handler closing the history panel with the <kbd>Esc</kbd> key.
+         */
+        this.keystrokes = new KeystrokeHandler();
+        this.keystrokes.set('Esc', (data, cancel) => {
+            if (this.isHistoryVisible) {
+                this.isHistoryVisible = false;
+                cancel();
+            }
+        });
+        this.setTemplate({
+            tag: 'div',
+            attributes: {
+                class: ['ck', 'ck-notification-center']
+            },
+            children: [
+                {
+                    tag: 'div',
+                    attributes: {
+                        class: ['ck', 'ck-notification-center__toasts'],
+                        'aria-live': 'polite'
+                    },
+                    children: this.toasts
+                },
+                {
+                    tag: 'div',
+                    attributes: {
+                        class: [
+                            'ck',
+                            'ck-notification-center__history',
+                            bind.if('isHistoryVisible', 'ck-hidden', isVisible => !isVisible)
+                        ],
+                        role: 'region',
+                        'aria-label': t('Recent notifications')
+                    },
+                    children: [
+                        {
+                            tag: 'div',
+                            attributes: {
+                                class: ['ck', 'ck-notification-center__history__header']
+                            },
+                            children: [
+                                {
+                                    tag: 'h2',
+                                    children: [t('Recent notifications')]
+                                },
+                                this.closeHistoryButtonView
+                            ]
+                        },
+                        {
+                            tag: 'ul',
+                            attributes: {
+                                class: ['ck', 'ck-notification-center__history__list']
+                            },
+                            children: this.historyItems
+                        }
+                    ]
+                }
+            ]
+        });
+    }
+    /**
+     * @inheritDoc
+     */
+    render() {
+        super.render();
+        this.keystrokes.listenTo(this.element);
+    }
+    /**
+     * @inheritDoc
+     */
+    destroy() {
+        super.destroy();
+        this.keystrokes.destroy();
+    }
+    /**
+     * Adds the notification to the history panel.
+     *
+     * @param data The notification data.
+     * @param data.type The type of the notification.
+     * @param data.message The content of the notification.
+     * @param data.title The title of the notification.
+     * @param limit The maximum number of the entries in the history panel. The oldest entries are removed.
+     */
+    addHistoryItem({ type, message, title }, limit) {
+        const itemView = new View(this.locale);
+        itemView.setTemplate({
+            tag: 'li',
+            attributes: {
+                class: ['ck', 'ck-notification-center__history__item', `ck-notification-toast_${type}`]
+            },
+            children: [
+                {
+                    tag: 'strong',
+                    attributes: {
+                        class: ['ck', title ? '' : 'ck-hidden']
+                    },
+                    children: [title]
+                },
+                {
+                    tag: 'span',
+                    children: [message]
+                }
+            ]
+        });
+        this.historyItems.add(itemView, 0);
+        while (this.historyItems.length > limit) {
+            this.historyItems.remove(this.historyItems.last).destroy();
+        }
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/notification/notification
+ */
+/**
+ * The Notification plugin.
+ *
+ * This plugin sends a few types of notifications: `success`, `info` and `warning`. The notifications can be
+ * handled and displayed by a plugin responsible for showing the UI of the notifications. Using this plugin for dispatching
+ * notifications makes it possible to switch the notifications UI.
+ *
+ * Note that every unhandled and not stopped notification will be displayed as a toast by the built-in
+ * {@link module:ui/notification/notificationcenterview~NotificationCenterView notification center}.
+ * The `success` and `info` toasts are dismissed automatically after the `notification.timeout` configured time
+ * (5 seconds by default). The `warning` toasts and the toasts with actions stay until they are closed.
+ * See {@link module:ui/notification/notification~Notification#showWarning}. At most `notification.maxToasts` toasts
+ * (3 by default) are displayed at once. When a new toast exceeds this number, the oldest one is closed.
+ *
+ * The recent notifications, including the closed ones, can be reviewed in the history panel displayed with {@link #showHistory}.
+ * The {@link module:ui/notification/notificationhistoryui~NotificationHistoryUI} plugin displays it with a toolbar button
+ * and a keystroke.
+ */
+class Notification extends ContextPlugin {
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'Notification';
+    }
+    /**
+     * @inheritDoc
+     */
+    constructor(context) {
+        super(context);
+        context.config.define('notification', {
+            timeout: 5000,
+            historyLength: 20,
+            maxToasts: 3
+        });
+        /**
+         * The notification center view. It is created when the first notification is displayed.
+         */
+        this._centerView = null;
+        /**
+         * The body collection the notification center view is rendered in.
+         */
+        this._bodyCollection = null;
+        /**
+         * The callbacks dismissing the displayed toasts automatically.
+         */
+        this._dismissCallbacks = new Map();
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        // Each notification is listed in the history panel, including the ones displayed by other plugins.
+        this.on('show', (evt, data) => {
+            this._getCenterView().addHistoryItem(data, this.context.config.get('notification.historyLength'));
+        }, { priority: 'highest' });
+        // Each unhandled and not stopped `show` event is displayed as a toast.
+        this.on('show', (evt, data) => {
+            this._showToast(data);
+        }, { priority: 'lowest' });
+    }
+    /**
+     * @inheritDoc
+     */
+    destroy() {
+        super.destroy();
+        for (const dismissCallback of this._dismissCallbacks.values()) {
+            dismissCallback.cancel();
+        }
+        if (this._bodyCollection) {
+            this._bodyCollection.detachFromDom();
+        }
+    }
+    /**
+     * Shows the panel with the history of the recent notifications.
+     */
+    showHistory() {
+        const centerView = this._getCenterView();
+        centerView.isHistoryVisible = true;
+        centerView.closeHistoryButtonView.focus();
+    }
+    /**
+     * Hides the panel with the history of the recent notifications.
+     */
+    hideHistory() {
+        if (this._centerView) {
+            this._centerView.isHistoryVisible = false;
+        }
+    }
+    /**
+     * Shows a success notification.
+     *
+     * By default, it fires the {@link #event:show:success `show:success` event} with the given `data`. The event namespace can be extended
+     * using the `data.namespace` option. For example:
+     *
+     * ```ts
+     * showSuccess( 'Image is uploaded.', {
+     * 	namespace: 'upload:image'
+     * } );
+     * ```
+     *
+     * will fire the `show:success:upload:image` event.
+     *
+     * You can provide the title of the notification:
+     *
+     * ```ts
+     * showSuccess( 'Image is uploaded.', {
+     * 	title: 'Image upload success'
+     * } );
+     * ```
+     *
+     * @param message The content of the notification.
+     * @param data Additional data.
+     * @param data.namespace Additional event namespace.
+     * @param data.title The title of the notification.
+     * @param data.actions The actions displayed as buttons in the toast. Each action has a `label` and an `onExecute` callback.
+     * @param data.timeout The time in milliseconds after which the toast is dismissed. `0` keeps it until it is closed.
+     */
+    showSuccess(message, data = {}) {
+        this._showNotification({
+            message,
+            type: 'success',
+            namespace: data.namespace,
+            title: data.title,
+            actions: data.actions,
+            timeout: data.timeout
+        });
+    }
+    /**
+     * Shows an information notification.
+     *
+     * By default, it fires the {@link #event:show:info `show:info` event} with the given `data`. The event namespace can be extended
+     * using the `data.namespace` option. For example:
+     *
+     * ```ts
+     * showInfo( 'Editor is offline.', {
+     * 	namespace: 'editor:status'
+     * } );
+     * ```
+     *
+     * will fire the `show:info:editor:status` event.
+     *
+     * You can provide the title of the notification:
+     *
+     * ```ts
+     * showInfo( 'Editor is offline.', {
+     * 	title: 'Network information'
+     * } );
+     * ```
+     *
+     * @param message The content of the notification.
+     * @param data Additional data.
+     * @param data.namespace Additional event namespace.
+     * @param data.title The title of the notification.
+     * @param data.actions The actions displayed as buttons in the toast. Each action has a `label` and an `onExecute` callback.
+     * @param data.timeout The time in milliseconds after which the toast is dismissed. `0` keeps it until it is closed.
+     */
+    showInfo(message, data = {}) {
+        this._showNotification({
+            message,
+            type: 'info',
+            namespace: data.namespace,
+            title: data.title,
+            actions: data.actions,
+            timeout: data.timeout
+        });
+    }
+    /**
+     * Shows a warning notification.
+     *
+     * By default, it fires the {@link #event:show:warning `show:warning` event}
+     * with the given `data`. The event namespace can be extended using the `data.namespace` option. For example:
+     *
+     * ```ts
+     * showWarning( 'Image upload error.', {
      * 	namespace: 'upload:image'
      * } );
      * ```
@@ -10435,14 +11003,23 @@ class Notification extends ContextPlugin {
      * } );
      * ```
      *
-     * Note that each unhandled and not stopped `warning` notification will be displayed as a system alert.
-     * The plugin responsible for displaying warnings should `stop()` the event to prevent displaying it as an alert:
+     * You can provide the actions displayed as buttons in the toast:
+     *
+     * ```ts
+     * showWarning( 'Image upload error.', {
+     * 	actions: [ { label: 'Retry upload', onExecute: () => retryUpload() } ]
+     * } );
+     * ```
+     *
+     * Note that each unhandled and not stopped notification will be displayed as a toast. Unlike other notifications,
+     * the warnings are not dismissed automatically.
+     * The plugin responsible for displaying warnings should `stop()` the event to prevent displaying it as a toast:
      *
      * ```ts
      * notifications.on( 'show:warning', ( evt, data ) => {
      * 	// Do something with the data.
      *
-     * 	// Stop this event to prevent displaying it as an alert.
+     * 	// Stop this event to prevent displaying it as a toast.
      * 	evt.stop();
      * } );
      * ```
@@ -10457,7 +11034,7 @@ class Notification extends ContextPlugin {
      * notifications.on( 'show:warning', ( evt, data ) => {
      * 	// Log the warning to some error tracker.
      *
-     * 	// Stop this event to prevent displaying it as an alert.
+     * 	// Stop this event to prevent displaying it as a toast.
      * 	evt.stop();
      * }, { priority: 'low' } );
      * ```
@@ -10466,13 +11043,17 @@ class Notification extends ContextPlugin {
      * @param data Additional data.
      * @param data.namespace Additional event namespace.
      * @param data.title The title of the notification.
+     * @param data.actions The actions displayed as buttons in the toast. Each action has a `label` and an `onExecute` callback.
+     * @param data.timeout The time in milliseconds after which the toast is dismissed. `0` keeps it until it is closed.
      */
     showWarning(message, data = {}) {
         this._showNotification({
             message,
             type: 'warning',
             namespace: data.namespace,
-            title: data.title
+            title: data.title,
+            actions: data.actions,
+            timeout: data.timeout
         });
     }
     /**
@@ -10491,9 +11072,48 @@ class Notification extends ContextPlugin {
         this.fire(event, {
             message: data.message,
             type: data.type,
-            title: data.title || ''
+            title: data.title || '',
+            actions: data.actions || [],
+            timeout: data.timeout
         });
     }
+    /**
+     * Displays the notification as a toast in the notification center.
+     */
+    _showToast(data) {
+        const centerView = this._getCenterView();
+        const toastView = new NotificationToastView(this.context.locale, data);
+        const closeToast = () => {
+            this._dismissCallbacks.get(toastView).cancel();
+            this._dismissCallbacks.delete(toastView);
+            centerView.toasts.remove(toastView);
+            toastView.destroy();
+        };
+        const timeout = data.timeout !== undefined ? data.timeout :
+            (data.type == 'warning' || data.actions.length ? 0 : this.context.config.get('notification.timeout'));
+        const dismissCallback = delay(closeToast, timeout);
+        toastView.on('close', closeToast);
+        this._dismissCallbacks.set(toastView, dismissCallback);
+        centerView.toasts.add(toastView);
+        if (timeout) {
+            dismissCallback();
+        }
+        // The closed toasts can still be reviewed in the history panel.
+        while (centerView.toasts.length > this.context.config.get('notification.maxToasts')) {
+            centerView.toasts.first.fire('close');
+        }
+    }
+    /**
+     * Returns the notification center view. Creates it and renders it in the body collection if needed.
+     */
+    _getCenterView() {
+        if (!this._centerView) {
+            this._centerView = new NotificationCenterView(this.context.locale);
+            this._bodyCollection = new BodyCollection(this.context.locale, [this._centerView]);
+            this._bodyCollection.attachToDom();
+        }
+        return this._centerView;
+    }
 }
 
 /**
@@ -10501,16 +11121,173 @@ class Notification extends ContextPlugin {
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 /**
- * @module ui/model
+ * @module ui/notification/notificationhistoryui
  */
 /**
- * The base MVC model class.
+ * The notification history UI plugin. It registers the `'notificationHistory'` button in the
+ * {@link module:ui/componentfactory~ComponentFactory component factory} and the <kbd>Alt</kbd>+<kbd>Shift</kbd>+<kbd>N</kbd>
+ * keystroke, both showing the {@link module:ui/notification/notification~Notification#showHistory history panel}
+ * with the recent notifications.
  */
-class Model extends ObservableMixin() {
+class NotificationHistoryUI extends Plugin {
     /**
-     * Creates a new Model instance.
-     *
-     * @param attributes The model state attributes to be defined during the instance creation.
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'NotificationHistoryUI';
+    }
+    /**
+     * @inheritDoc
+     */
+    static get requires() {
+        return [Notification];
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        const editor = this.editor;
+        const t = editor.t;
+        const notification = editor.plugins.get(Notification);
+        editor.ui.componentFactory.add('notificationHistory', locale => {
+            const view = new ButtonView(locale);
+            view.set({
+                label: t('Recent notifications'),
+                keystroke: 'Alt+Shift+N',
+                withText: true,
+                tooltip: true
+            });
+            this.listenTo(view, 'execute', () => {
+                notification.showHistory();
+            });
+            return view;
+        });
+        editor.keystrokes.set('Alt+Shift+N', (data, cancel) => {
+            notification.showHistory();
+            cancel();
+        });
+        editor.accessibility.addKeystrokeInfos({
+            category: 'navigation',
+            keystrokes: [
+                { label: t('Show the recent notifications'), keystroke: 'Alt+Shift+N' }
+            ]
+        });
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/notification/contentlossnotification
+ */
+/**
+ * The content loss notification plugin.
+ *
+ * It shows a {@link module:ui/notification/notification~Notification#showWarning warning} when some of the content
+ * set with {@link module:engine/controller/datacontroller~DataController#set `editor.data.set()`} or pasted to the editor
+ * could not be kept because no editor feature supports it (e.g. the formatting was stripped).
+ *
+ * The warning lists the names of the dropped elements. The dropped attributes, classes and styles are common in the pasted
+ * content (e.g. the inline styles of office documents), so they are listed only when enabled in the configuration:
+ *
+ * ```ts
+ * ClassicEditor.create( element, {
+ * 	contentLossNotification: {
+ * 		reportAttributes: true
+ * 	}
+ * } );
+ * ```
+ *
+ * The full report is available in the `contentLoss` events of the {@link module:engine/controller/datacontroller~DataController}
+ * and the {@link module:clipboard/clipboardpipeline~ClipboardPipeline}.
+ */
+class ContentLossNotification extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'ContentLossNotification';
+    }
+    /**
+     * @inheritDoc
+     */
+    static get requires() {
+        return [Notification];
+    }
+    /**
+     * @inheritDoc
+     */
+    constructor(editor) {
+        super(editor);
+        editor.config.define('contentLossNotification', {
+            reportAttributes: false
+        });
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        const editor = this.editor;
+        const reportAttributes = editor.config.get('contentLossNotification.reportAttributes');
+        const onContentLoss = (evt, { report }) => {
+            const t = editor.t;
+            const message = getContentLossMessage(report, reportAttributes, t);
+            if (!message) {
+                return;
+            }
+            editor.plugins.get(Notification).showWarning(message, {
+                title: t('Some content was removed'),
+                namespace: 'contentLoss'
+            });
+        };
+        this.listenTo(editor.data, 'contentLoss', onContentLoss);
+        // The clipboard pipeline is loaded by most of the editors but it is not a dependency of the UI.
+        if (editor.plugins.has('ClipboardPipeline')) {
+            this.listenTo(editor.plugins.get('ClipboardPipeline'), 'contentLoss', onContentLoss);
+        }
+    }
+}
+/**
+ * Returns the human-readable summary of the content loss report. It is empty if there is nothing to report.
+ */
+function getContentLossMessage(report, reportAttributes, t) {
+    const unique = (names) => Array.from(new Set(names)).join(', ');
+    const parts = [];
+    if (report.elements.length) {
+        parts.push(t('Elements: %0.', unique(report.elements.map(element => `<${element.name}>`))));
+    }
+    if (reportAttributes && (report.attributes.length || report.classes.length)) {
+        parts.push(t('Attributes: %0.', unique([
+            ...report.attributes.map(({ name }) => name),
+            ...report.classes.map(({ name }) => `class="${name}"`)
+        ])));
+    }
+    if (reportAttributes && report.styles.length) {
+        parts.push(t('Styles: %0.', unique(report.styles.map(({ name }) => name))));
+    }
+    if (report.text.length) {
+        parts.push(t('Some text could not be inserted.'));
+    }
+    return parts.join(' ');
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/model
+ */
+/**
+ * The base MVC model class.
+ */
+class Model extends ObservableMixin() {
+    /**
+     * Creates a new Model instance.
+     *
+     * @param attributes The model state attributes to be defined during the instance creation.
      * @param properties The (out of state) properties to be appended to the instance during creation.
      */
     constructor(attributes, properties) {
@@ -11859,6 +12636,1353 @@ AutocompleteView.defaultResultsPositions = [
  */
 AutocompleteView._getOptimalPosition = getOptimalPosition;
 
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/commandpalette/commandpaletteview
+ */
+/**
+ * The list of the {@link module:ui/commandpalette/commandpalette~CommandPalette command palette} entries.
+ * It is the filtered view of the {@link module:ui/commandpalette/commandpaletteview~CommandPaletteView}.
+ */
+class CommandPaletteListView extends ListView {
+    /**
+     * @inheritDoc
+     */
+    constructor(locale) {
+        super(locale);
+        this.role = 'listbox';
+    }
+    /**
+     * Adds the entry to the list.
+     *
+     * @param entry The command palette entry.
+     * @param entry.label The label of the entry.
+     * @param entry.keystroke The keystroke executing the entry.
+     * @param entry.observable The observable the `isEnabled` property of the entry is bound to.
+     */
+    addEntry({ label, keystroke, observable }) {
+        const listItemView = new ListItemView(this.locale);
+        const buttonView = new ButtonView(this.locale);
+        buttonView.set({
+            label,
+            keystroke,
+            withText: true,
+            withKeystroke: !!keystroke,
+            role: 'option'
+        });
+        buttonView.bind('isEnabled').to(observable);
+        buttonView.delegate('execute').to(this);
+        listItemView.children.add(buttonView);
+        this.items.add(listItemView);
+        return buttonView;
+    }
+    /**
+     * Removes all entries from the list and destroys their views.
+     */
+    clearEntries() {
+        const listItemViews = Array.from(this.items);
+        this.items.clear();
+        for (const listItemView of listItemViews) {
+            listItemView.destroy();
+        }
+    }
+    /**
+     * Shows only the entries with labels matching the given regular expression.
+     *
+     * @param regExp The regular expression. If `null`, all entries are shown.
+     * @returns The number of the matching entries and the total number of the entries.
+     */
+    filter(regExp) {
+        let resultsCount = 0;
+        for (const listItemView of this.items) {
+            listItemView.isVisible = !regExp || regExp.test(listItemView.children.first.label);
+            resultsCount += listItemView.isVisible ? 1 : 0;
+        }
+        return { resultsCount, totalItemsCount: this.items.length };
+    }
+    /**
+     * Focuses the first visible entry.
+     */
+    focus() {
+        const firstVisible = Array.from(this.items).find(listItemView => listItemView.isVisible);
+        if (firstVisible) {
+            firstVisible.focus();
+        }
+    }
+}
+/**
+ * The command palette view. It is a {@link module:ui/search/text/searchtextview~SearchTextView} with a list of
+ * the editor commands and UI components searched by a fuzzy query: the characters of the query must appear in the label
+ * in the same order but do not have to be adjacent (e.g. "inst" matches "Insert table").
+ */
+class CommandPaletteView extends SearchTextView {
+    /**
+     * @inheritDoc
+     */
+    constructor(locale) {
+        const t = locale.t;
+        const listView = new CommandPaletteListView(locale);
+        super(locale, {
+            class: 'ck-command-palette',
+            filteredView: listView,
+            queryView: {
+                label: t('Search commands')
+            },
+            infoView: {
+                text: {
+                    notFound: {
+                        primary: t('No commands found')
+                    }
+                }
+            }
+        });
+        /**
+         * The list of the palette entries.
+         */
+        this.listView = listView;
+        // Move from the query field to the results with the arrow down key.
+        this.keystrokes.set('arrowdown', (data, cancel) => {
+            if (this.queryView.fieldView.element === global.document.activeElement) {
+                this.listView.focus();
+                cancel();
+            }
+        });
+        // Execute the first matching entry with the Enter key pressed in the query field.
+        this.keystrokes.set('enter', (data, cancel) => {
+            if (this.queryView.fieldView.element === global.document.activeElement) {
+                const firstVisible = Array.from(this.listView.items).find(listItemView => listItemView.isVisible);
+                if (firstVisible && firstVisible.children.first.isEnabled) {
+                    firstVisible.children.first.fire('execute');
+                }
+                cancel();
+            }
+        });
+        this.keystrokes.set('esc', (data, cancel) => {
+            this.fire('cancel');
+            cancel();
+        });
+    }
+    /**
+     * Searches the entries with a fuzzy query.
+     *
+     * @internal
+     * @param query The search query string.
+     */
+    search(query) {
+        const fuzzyQuery = Array.from(query.trim()).map(character => escapeRegExp(character)).join('.*?');
+        const regExp = fuzzyQuery ? new RegExp(fuzzyQuery, 'i') : null;
+        const filteringResults = this.filteredView.filter(regExp);
+        this.fire('search', { query, ...filteringResults });
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/commandpalette/commandpalette
+ */
+// The commands used internally by the editing features. They require parameters or make no sense without a context.
+const DEFAULT_EXCLUDED_COMMANDS = ['input', 'insertText', 'delete', 'deleteForward', 'forwardDelete', 'enter', 'shiftEnter', 'insertParagraph'];
+/**
+ * The command palette plugin. It displays a searchable list of the editor features when
+ * <kbd>Ctrl</kbd>+<kbd>Shift</kbd>+<kbd>P</kbd> (<kbd>Cmd</kbd>+<kbd>Shift</kbd>+<kbd>P</kbd> on macOS) is pressed.
+ *
+ * The list contains the buttons registered in the {@link module:ui/componentfactory~ComponentFactory component factory}
+ * (with their labels and keystrokes) and the {@link module:core/editor/editor~Editor#commands editor commands} that have
+ * no buttons. The disabled entries cannot be executed. The commands can be excluded from the list with the
+ * `commandPalette.excludeCommands` configuration option:
+ *
+ * ```ts
+ * ClassicEditor.create( element, {
+ * 	commandPalette: {
+ * 		excludeCommands: [ 'input', 'insertText', 'delete', 'deleteForward', 'forwardDelete', 'enter', 'shiftEnter', 'insertParagraph', 'selectAll' ]
+ * 	}
+ * } );
+ * ```
+ *
+ * Components other than buttons (e.g. dropdowns) are not listed because they cannot be executed outside of their UI.
+ */
+class CommandPalette extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'CommandPalette';
+    }
+    /**
+     * @inheritDoc
+     */
+    constructor(editor) {
+        super(editor);
+        editor.config.define('commandPalette.excludeCommands', DEFAULT_EXCLUDED_COMMANDS);
+        /**
+         * The palette view. It is created when the palette is shown for the first time. Its entries are updated
+         * every time the palette is shown.
+         */
+        this.view = null;
+        /**
+         * The balloon panel displaying the {@link #view}.
+         */
+        this._balloonView = null;
+        /**
+         * The button views created to read the labels and keystrokes of the components listed in the palette.
+         */
+        this._componentViews = [];
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        const editor = this.editor;
+        const t = editor.t;
+        editor.keystrokes.set('Ctrl+Shift+P', (data, cancel) => {
+            this.show();
+            cancel();
+        });
+        editor.accessibility.addKeystrokeInfos({
+            category: 'navigation',
+            keystrokes: [
+                { label: t('Open the command palette'), keystroke: 'Ctrl+Shift+P' }
+            ]
+        });
+    }
+    /**
+     * @inheritDoc
+     */
+    destroy() {
+        super.destroy();
+        if (this._balloonView) {
+            this._balloonView.destroy();
+        }
+        for (const componentView of this._componentViews) {
+            componentView.destroy();
+        }
+    }
+    /**
+     * Shows the command palette and focuses its search field.
+     */
+    show() {
+        const editor = this.editor;
+        if (!this._balloonView) {
+            this._createUI();
+        }
+        this._updateEntries();
+        this.view.reset();
+        this._balloonView.pin({
+            target: editor.ui.getEditableElement(),
+            positions: [
+                (targetRect, balloonRect) => ({
+                    top: targetRect.top + BalloonPanelView.arrowHeightOffset,
+                    left: targetRect.left + (targetRect.width - balloonRect.width) / 2,
+                    name: 'command-palette',
+                    config: {
+                        withArrow: false
+                    }
+                })
+            ]
+        });
+        this.view.focus();
+    }
+    /**
+     * Hides the command palette.
+     *
+     * @param focusEditable Whether the editing view should be focused.
+     */
+    hide(focusEditable = false) {
+        if (!this._balloonView || !this._balloonView.isVisible) {
+            return;
+        }
+        this._balloonView.unpin();
+        if (focusEditable) {
+            this.editor.editing.view.focus();
+        }
+    }
+    /**
+     * Creates the palette view and the balloon displaying it.
+     */
+    _createUI() {
+        const editor = this.editor;
+        this.view = new CommandPaletteView(editor.locale);
+        this._balloonView = new BalloonPanelView(editor.locale);
+        this._balloonView.class = 'ck-command-palette__panel';
+        this._balloonView.content.add(this.view);
+        editor.ui.view.body.add(this._balloonView);
+        editor.ui.focusTracker.add(this._balloonView.element);
+        this.view.on('cancel', () => this.hide(true));
+        clickOutsideHandler({
+            emitter: this.view,
+            activator: () => this._balloonView.isVisible,
+            contextElements: () => [this._balloonView.element],
+            callback: () => this.hide()
+        });
+    }
+    /**
+     * Replaces the palette entries with the current ones. The components and commands may change while the editor is running,
+     * e.g. their labels may depend on the selection, so the entries are not reused.
+     */
+    _updateEntries() {
+        this.view.listView.clearEntries();
+        for (const componentView of this._componentViews) {
+            componentView.destroy();
+        }
+        this._componentViews = [];
+        for (const entry of this._getEntries()) {
+            const buttonView = this.view.listView.addEntry(entry);
+            buttonView.on('execute', () => {
+                this.hide(true);
+                entry.execute();
+            });
+        }
+    }
+    /**
+     * Returns the palette entries sorted by their labels.
+     */
+    _getEntries() {
+        const editor = this.editor;
+        const componentFactory = editor.ui.componentFactory;
+        const entries = new Map();
+        for (const name of componentFactory.names()) {
+            const componentView = componentFactory.create(name);
+            // Only the views listed in the palette are kept. The other ones are destroyed right away.
+            if (!(componentView instanceof ButtonView) || !componentView.label) {
+                componentView.destroy();
+                continue;
+            }
+            this._componentViews.push(componentView);
+            entries.set(name.toLowerCase(), {
+                label: componentView.label,
+                keystroke: componentView.keystroke,
+                observable: componentView,
+                execute: () => componentView.fire('execute')
+            });
+        }
+        const excludedCommands = editor.config.get('commandPalette.excludeCommands');
+        for (const [name, command] of editor.commands) {
+            // The command is usually executed by the button with the same name.
+            if (entries.has(name.toLowerCase()) || excludedCommands.includes(name)) {
+                continue;
+            }
+            entries.set(name.toLowerCase(), {
+                label: getCommandLabel(name),
+                keystroke: undefined,
+                observable: command,
+                execute: () => editor.execute(name)
+            });
+        }
+        return Array.from(entries.values()).sort((a, b) => a.label.localeCompare(b.label));
+    }
+}
+/**
+ * Returns a human-readable label of the command, e.g. "Insert table" for the `insertTable` command.
+ */
+function getCommandLabel(commandName) {
+    const words = commandName.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/dialog/dialogactionsview
+ */
+/**
+ * A view with the action buttons displayed at the bottom of the {@link module:ui/dialog/dialogview~DialogView dialog}.
+ */
+class DialogActionsView extends View {
+    /**
+     * @inheritDoc
+     */
+    constructor(locale) {
+        super(locale);
+        /**
+         * The buttons of the view.
+         */
+        this.children = this.createCollection();
+        this.keystrokes = new KeystrokeHandler();
+        this.focusTracker = new FocusTracker();
+        this._focusCycler = new FocusCycler({
+            focusables: this.children,
+            focusTracker: this.focusTracker,
+            keystrokeHandler: this.keystrokes,
+            actions: {
+                focusPrevious: 'arrowleft',
+                focusNext: 'arrowright'
+            }
+        });
+        this.setTemplate({
+            tag: 'div',
+            attributes: {
+                class: ['ck', 'ck-dialog__actions']
+            },
+            children: this.children
+        });
+    }
+    /**
+     * @inheritDoc
+     */
+    render() {
+        super.render();
+        this.keystrokes.listenTo(this.element);
+    }
+    /**
+     * @inheritDoc
+     */
+    destroy() {
+        super.destroy();
+        this.focusTracker.destroy();
+        this.keystrokes.destroy();
+    }
+    /**
+     * Creates the buttons from the definitions.
+     *
+     * @param definitions The definitions of the buttons.
+     */
+    setButtons(definitions) {
+        for (const definition of definitions) {
+            const button = new ButtonView(this.locale);
+            button.set({
+                withText: true,
+                ...definition
+            });
+            if (definition.onExecute) {
+                button.on('execute', () => definition.onExecute());
+            }
+            this.children.add(button);
+            this.focusTracker.add(button.element);
+        }
+    }
+    /**
+     * Focuses the first button.
+     *
+     * @param direction The direction of the focus. When `-1`, the last button is focused.
+     */
+    focus(direction) {
+        if (direction === -1) {
+            this._focusCycler.focusLast();
+        }
+        else {
+            this._focusCycler.focusFirst();
+        }
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/dialog/dialogview
+ */
+const toPx$6 = toUnit('px');
+/**
+ * The margin (in pixels) between the dialog and the edges of the editable or the viewport.
+ */
+const DIALOG_POSITION_MARGIN = 15;
+/**
+ * The view of the {@link module:ui/dialog/dialog~Dialog dialog}. It consists of an optional header with a title
+ * and a close button, the content and the action buttons.
+ *
+ * The focus is trapped in the dialog: <kbd>Tab</kbd> and <kbd>Shift</kbd>+<kbd>Tab</kbd> cycle over its focusable parts
+ * and <kbd>Esc</kbd> fires the {@link #event:close} event.
+ *
+ * A modal dialog covers the page with an overlay. A modeless one can be dragged by its header.
+ */
+class DialogView extends View {
+    /**
+     * Creates an instance of the dialog view.
+     *
+     * @param locale The locale instance.
+     * @param options.getCurrentDomRoot A callback returning the DOM root of the editable the dialog is positioned to.
+     * @param options.getViewportOffset A callback returning the viewport offset of the editor.
+     */
+    constructor(locale, { getCurrentDomRoot, getViewportOffset }) {
+        super(locale);
+        const bind = this.bindTemplate;
+        this._getCurrentDomRoot = getCurrentDomRoot;
+        this._getViewportOffset = getViewportOffset;
+        this.parts = this.createCollection();
+        this.keystrokes = new KeystrokeHandler();
+        this.focusTracker = new FocusTracker();
+        this._focusables = new ViewCollection();
+        this._focusCycler = new FocusCycler({
+            focusables: this._focusables,
+            focusTracker: this.focusTracker,
+            keystrokeHandler: this.keystrokes,
+            actions: {
+                focusPrevious: 'shift + tab',
+                focusNext: 'tab'
+            }
+        });
+        this.set({
+            isVisible: false,
+            isModal: false,
+            wasMoved: false,
+            className: '',
+            ariaLabel: '',
+            position: 'editor-center',
+            _top: 0,
+            _left: 0,
+            _isPositioned: false
+        });
+        this.keystrokes.set('Esc', (data, cancel) => {
+            this.fire('close', { source: 'escKeyPress' });
+            cancel();
+        });
+        this.setTemplate({
+            tag: 'div',
+            attributes: {
+                class: [
+                    'ck',
+                    'ck-dialog-overlay',
+                    bind.if('isModal', 'ck-dialog-overlay__transparent', isModal => !isModal),
+                    bind.if('isVisible', 'ck-hidden', isVisible => !isVisible)
+                ],
+                // Prevent from editor losing focus when clicking on the modal overlay.
+                tabindex: '-1'
+            },
+            children: [
+                {
+                    tag: 'div',
+                    attributes: {
+                        tabindex: '-1',
+                        class: [
+                            'ck',
+                            'ck-dialog',
+                            bind.if('isModal', 'ck-dialog_modal'),
+                            bind.to('className')
+                        ],
+                        role: 'dialog',
+                        'aria-modal': bind.to('isModal', isModal => isModal ? 'true' : false),
+                        'aria-label': bind.to('ariaLabel'),
+                        style: {
+                            top: bind.to('_top', top => toPx$6(top)),
+                            left: bind.to('_left', left => toPx$6(left)),
+                            visibility: bind.to('_isPositioned', isPositioned => isPositioned ? 'visible' : 'hidden')
+                        }
+                    },
+                    children: this.parts
+                }
+            ]
+        });
+    }
+    /**
+     * The element of the dialog (inside the overlay).
+     */
+    get dialogElement() {
+        return this.element.firstElementChild;
+    }
+    /**
+     * @inheritDoc
+     */
+    render() {
+        super.render();
+        this.keystrokes.listenTo(this.element);
+        this.on('change:isVisible', () => this.updatePosition());
+        this.on('change:position', () => {
+            this.wasMoved = false;
+            this.updatePosition();
+        });
+        this.listenTo(global.window, 'resize', () => {
+            if (this.isVisible && !this.wasMoved) {
+                this.updatePosition();
+            }
+        });
+    }
+    /**
+     * @inheritDoc
+     */
+    destroy() {
+        super.destroy();
+        this.focusTracker.destroy();
+        this.keystrokes.destroy();
+    }
+    /**
+     * Creates the parts of the dialog. The view must be rendered first.
+     *
+     * @param options.icon The icon displayed next to the title.
+     * @param options.title The title of the dialog. The header is not displayed without it.
+     * @param options.hasCloseButton When `true` (default), the header contains a button closing the dialog.
+     * @param options.content The view or views displayed in the dialog.
+     * @param options.actionButtons The definitions of the buttons displayed at the bottom of the dialog.
+     */
+    setupParts({ icon, title, hasCloseButton = true, content, actionButtons }) {
+        if (title) {
+            this.headerView = new FormHeaderView(this.locale, { icon, label: title, class: 'ck-dialog__header' });
+            if (hasCloseButton) {
+                this.closeButtonView = this._createCloseButton();
+                this.headerView.children.add(this.closeButtonView);
+            }
+            this.parts.add(this.headerView);
+            this._setupDragging();
+            this.ariaLabel = title;
+        }
+        if (content) {
+            this.contentView = new View(this.locale);
+            this.contentView.children = this.contentView.createCollection(toArray(content));
+            this.contentView.setTemplate({
+                tag: 'div',
+                attributes: {
+                    class: ['ck', 'ck-dialog__content']
+                },
+                children: this.contentView.children
+            });
+            this.parts.add(this.contentView);
+        }
+        if (actionButtons) {
+            this.actionsView = new DialogActionsView(this.locale);
+            this.parts.add(this.actionsView);
+            this.actionsView.setButtons(actionButtons);
+        }
+        for (const view of [this.closeButtonView, ...(content ? toArray(content) : []), this.actionsView]) {
+            if (view && view.focus) {
+                this._focusables.add(view);
+                this.focusTracker.add(view.element);
+            }
+        }
+    }
+    /**
+     * Focuses the first focusable part of the dialog.
+     */
+    focus() {
+        if (this._focusCycler.first) {
+            this._focusCycler.focusFirst();
+        }
+        else {
+            this.dialogElement.focus();
+        }
+    }
+    /**
+     * Moves the dialog to the given position in the viewport.
+     *
+     * @param left The left coordinate of the dialog.
+     * @param top The top coordinate of the dialog.
+     */
+    moveTo(left, top) {
+        const viewportRect = new Rect(global.window);
+        const dialogRect = new Rect(this.dialogElement);
+        // Keep the dialog within the viewport so it cannot be dragged out of reach.
+        this._left = Math.max(0, Math.min(left, viewportRect.width - dialogRect.width));
+        this._top = Math.max(0, Math.min(top, viewportRect.height - dialogRect.height));
+        this._isPositioned = true;
+    }
+    /**
+     * Positions the dialog according to the {@link #position} in relation to the editable element
+     * or the viewport. The dialog dragged by the user keeps its position.
+     */
+    updatePosition() {
+        if (!this.isVisible || this.wasMoved) {
+            return;
+        }
+        const viewportRect = new Rect(global.window);
+        const dialogRect = new Rect(this.dialogElement);
+        const domRoot = this._getCurrentDomRoot();
+        const editableRect = domRoot ? new Rect(domRoot).getVisible() : null;
+        const viewportOffset = this._getViewportOffset();
+        const isRtl = this.locale.uiLanguageDirection === 'rtl';
+        // The dialog positioned to the editable is centered in the viewport when the editable is not visible.
+        if (this.position == 'screen-center' || !editableRect) {
+            this.moveTo((viewportRect.width - dialogRect.width) / 2, (viewportRect.height - dialogRect.height) / 2);
+            return;
+        }
+        const top = Math.max(editableRect.top, viewportOffset.top || 0) + DIALOG_POSITION_MARGIN;
+        switch (this.position) {
+            case 'editor-top-side':
+                this.moveTo(isRtl ?
+                    editableRect.left + DIALOG_POSITION_MARGIN :
+                    editableRect.right - dialogRect.width - DIALOG_POSITION_MARGIN, top);
+                break;
+            case 'editor-top-center':
+                this.moveTo(editableRect.left + (editableRect.width - dialogRect.width) / 2, top);
+                break;
+            default:
+                this.moveTo(editableRect.left + (editableRect.width - dialogRect.width) / 2, editableRect.top + (editableRect.height - dialogRect.height) / 2);
+        }
+    }
+    /**
+     * Creates the button closing the dialog.
+     */
+    _createCloseButton() {
+        const t = this.locale.t;
+        const buttonView = new ButtonView(this.locale);
+        buttonView.set({
+            label: t('Close'),
+            tooltip: true,
+            icon: icons$1.cancel
+        });
+        buttonView.on('execute', () => this.fire('close', { source: 'closeButton' }));
+        return buttonView;
+    }
+    /**
+     * Makes the modeless dialog draggable by its header.
+     */
+    _setupDragging() {
+        const document = global.document;
+        let lastPointer = null;
+        const onMove = (evt, domEvt) => {
+            this.wasMoved = true;
+            this.moveTo(this._left + domEvt.clientX - lastPointer.x, this._top + domEvt.clientY - lastPointer.y);
+            lastPointer = { x: domEvt.clientX, y: domEvt.clientY };
+        };
+        const onUp = () => {
+            this.stopListening(document, 'mousemove', onMove);
+            this.stopListening(document, 'mouseup', onUp);
+        };
+        const onDown = (evt, domEvt) => {
+            // Dragging is disabled in the modal dialogs and when the header buttons are clicked.
+            if (this.isModal || domEvt.button !== 0 || domEvt.target.closest('.ck-button')) {
+                return;
+            }
+            domEvt.preventDefault();
+            lastPointer = { x: domEvt.clientX, y: domEvt.clientY };
+            this.listenTo(document, 'mousemove', onMove);
+            this.listenTo(document, 'mouseup', onUp);
+        };
+        this.listenTo(this.headerView.element, 'mousedown', onDown);
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/dialog/dialog
+ */
+/**
+ * The plugin of the dialog currently displayed in any editor on the page. Only one dialog is displayed at a time.
+ */
+let visibleDialogPlugin = null;
+/**
+ * The dialog plugin. It displays a {@link module:ui/dialog/dialogview~DialogView dialog} with the content
+ * provided by the features:
+ *
+ * ```ts
+ * editor.plugins.get( 'Dialog' ).show( {
+ * 	id: 'findAndReplace',
+ * 	title: t( 'Find and replace' ),
+ * 	content: formView,
+ * 	actionButtons: [
+ * 		{ label: t( 'Close' ), onExecute: () => dialog.hide() }
+ * 	],
+ * 	position: 'editor-top-side'
+ * } );
+ * ```
+ *
+ * Only one dialog is displayed at a time, also across the editors on the page: showing a dialog hides the one
+ * displayed before.
+ *
+ * The modeless dialogs (default) can be dragged by their header and the focus can be moved between them
+ * and the editing area with <kbd>Ctrl</kbd>+<kbd>F6</kbd>. The modal dialogs cover the page with an overlay.
+ */
+class Dialog extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'Dialog';
+    }
+    /**
+     * @inheritDoc
+     */
+    constructor(editor) {
+        super(editor);
+        /**
+         * The view of the displayed dialog. It is `null` when no dialog of this editor is displayed.
+         */
+        this.view = null;
+        this._onHide = undefined;
+        /**
+         * The id of the displayed dialog.
+         *
+         * @observable
+         */
+        this.set('id', null);
+        /**
+         * Whether a dialog of this editor is displayed.
+         *
+         * @observable
+         */
+        this.set('isOpen', false);
+        // The listeners with the low priority allow the features to customize the dialog definition or cancel the events.
+        this.on('show', (evt, dialogDefinition) => this._show(dialogDefinition), { priority: 'low' });
+        this.on('hide', () => this._hide(), { priority: 'low' });
+        editor.keystrokes.set('Ctrl+F6', (data, cancel) => {
+            if (this.isOpen && !this.view.isModal) {
+                this.view.focus();
+                cancel();
+            }
+        });
+    }
+    /**
+     * @inheritDoc
+     */
+    destroy() {
+        this.hide();
+        super.destroy();
+    }
+    /**
+     * Displays the dialog. The dialog displayed before (also in another editor) is hidden.
+     *
+     * Fires the `show:<id>` event, so the features can listen to it.
+     *
+     * @param dialogDefinition.id The id of the dialog.
+     * @param dialogDefinition.title The title of the dialog.
+     * @param dialogDefinition.icon The icon displayed next to the title.
+     * @param dialogDefinition.hasCloseButton Whether the header contains a close button. Defaults to `true`.
+     * @param dialogDefinition.content The view or views displayed in the dialog.
+     * @param dialogDefinition.actionButtons The definitions of the buttons at the bottom of the dialog.
+     * @param dialogDefinition.className An additional class of the dialog.
+     * @param dialogDefinition.isModal Whether the dialog is modal.
+     * @param dialogDefinition.position The position of the dialog: `'screen-center'`, `'editor-center'`, `'editor-top-side'`
+     * or `'editor-top-center'`. Defaults to `'screen-center'` for modals and `'editor-center'` otherwise.
+     * @param dialogDefinition.onShow A callback called when the dialog is displayed, before it gets focused.
+     * @param dialogDefinition.onHide A callback called when the dialog is hidden.
+     */
+    show(dialogDefinition) {
+        if (visibleDialogPlugin) {
+            visibleDialogPlugin.hide();
+        }
+        this.fire(`show:${dialogDefinition.id}`, dialogDefinition);
+    }
+    /**
+     * Hides the dialog of this editor if displayed.
+     *
+     * Fires the `hide:<id>` event, so the features can listen to it.
+     */
+    hide() {
+        if (this.isOpen) {
+            this.fire(`hide:${this.id}`);
+        }
+    }
+    /**
+     * Creates the dialog view and displays it.
+     */
+    _show({ id, icon, title, hasCloseButton = true, content, actionButtons, className, isModal = false, position, onShow, onHide }) {
+        const editor = this.editor;
+        const view = this.view = new DialogView(editor.locale, {
+            getCurrentDomRoot: () => editor.editing.view.getDomRoot(editor.model.document.selection.anchor.root.rootName),
+            getViewportOffset: () => editor.ui.viewportOffset
+        });
+        view.set({
+            isModal,
+            className: className || '',
+            position: position || (isModal ? 'screen-center' : 'editor-center')
+        });
+        view.on('close', () => this.hide());
+        view.keystrokes.set('Ctrl+F6', (data, cancel) => {
+            if (!view.isModal) {
+                editor.editing.view.focus();
+                cancel();
+            }
+        });
+        editor.ui.view.body.add(view);
+        editor.ui.focusTracker.add(view.element);
+        // The parts are set up in the rendered view, so their elements can be tracked by its focus tracker.
+        view.setupParts({ icon, title, hasCloseButton, content, actionButtons });
+        this.listenTo(editor.ui, 'update', () => view.updatePosition());
+        this.id = id;
+        this.isOpen = true;
+        this._onHide = onHide;
+        visibleDialogPlugin = this;
+        if (onShow) {
+            onShow(this);
+        }
+        view.isVisible = true;
+        view.focus();
+    }
+    /**
+     * Removes the dialog view and brings the focus back to the editing area, if the dialog was focused.
+     */
+    _hide() {
+        const editor = this.editor;
+        const view = this.view;
+        const wasFocused = view.element.contains(global.document.activeElement);
+        if (this._onHide) {
+            this._onHide(this);
+        }
+        this.stopListening(editor.ui, 'update');
+        editor.ui.focusTracker.remove(view.element);
+        editor.ui.view.body.remove(view);
+        view.destroy();
+        this.view = null;
+        this._onHide = undefined;
+        this.id = null;
+        this.isOpen = false;
+        visibleDialogPlugin = null;
+        if (wasFocused) {
+            editor.editing.view.focus();
+        }
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/accessibilityhelp/accessibilityhelpcontentview
+ */
+/**
+ * The content of the accessibility help dialog. It lists the
+ * {@link module:core/accessibility~Accessibility#keystrokeInfos keystrokes} grouped by categories.
+ *
+ * The view is focusable, so its content can be scrolled with the keyboard.
+ */
+class AccessibilityHelpContentView extends View {
+    /**
+     * Creates an instance of the accessibility help content view.
+     *
+     * @param locale The locale instance.
+     * @param accessibility The editor accessibility helper providing the keystroke categories to display.
+     */
+    constructor(locale, accessibility) {
+        super(locale);
+        const t = locale.t;
+        this.setTemplate({
+            tag: 'div',
+            attributes: {
+                class: ['ck', 'ck-accessibility-help-dialog__content'],
+                tabindex: 0
+            },
+            children: Array.from(accessibility.keystrokeInfos.values())
+                .filter(category => category.keystrokes.length)
+                .map(category => createCategoryDefinition(category))
+        });
+        function createCategoryDefinition({ label, description, keystrokes }) {
+            return {
+                tag: 'section',
+                children: [
+                    { tag: 'h3', children: [label] },
+                    { tag: 'p', attributes: { class: description ? '' : 'ck-hidden' }, children: [description] },
+                    {
+                        tag: 'dl',
+                        children: keystrokes.flatMap(info => [
+                            { tag: 'dt', children: [info.label] },
+                            {
+                                tag: 'dd',
+                                children: accessibility.getKeystrokes(info).flatMap((alternative, index) => [
+                                    ...(index ? [` ${t('or')} `] : []),
+                                    { tag: 'kbd', children: [getEnvKeystrokeText(alternative)] }
+                                ])
+                            }
+                        ])
+                    }
+                ]
+            };
+        }
+    }
+    /**
+     * Focuses the view.
+     */
+    focus() {
+        this.element.focus();
+    }
+}
+
+var accessibilityIcon = "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"0 0 20 20\"><path d=\"M10 1.5a8.5 8.5 0 1 1 0 17 8.5 8.5 0 0 1 0-17zM10 0C4.477 0 0 4.477 0 10s4.477 10 10 10 10-4.477 10-10S15.523 0 10 0zm-.019 13.5a1.25 1.25 0 1 1 0 2.5 1.25 1.25 0 0 1 0-2.5zM10 4c1.933 0 3.5 1.343 3.5 3 0 1.282-.868 1.998-1.624 2.62-.664.548-1.126.964-1.126 1.63V12h-1.5v-.75c0-1.398.977-2.204 1.672-2.777.592-.489 1.078-.889 1.078-1.473 0-.794-.894-1.5-2-1.5s-2 .706-2 1.5H6.5c0-1.657 1.567-3 3.5-3z\"/></svg>";
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/accessibilityhelp/accessibilityhelp
+ */
+/**
+ * The accessibility help plugin. It displays a modal {@link module:ui/dialog/dialog~Dialog dialog} with the keystrokes
+ * available in the editor, registered by the features with
+ * {@link module:core/accessibility~Accessibility#addKeystrokeInfos `editor.accessibility.addKeystrokeInfos()`}.
+ *
+ * The dialog is opened with <kbd>Alt</kbd>+<kbd>0</kbd> or the `'accessibilityHelp'` toolbar button.
+ */
+class AccessibilityHelp extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get requires() {
+        return [Dialog];
+    }
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'AccessibilityHelp';
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        const editor = this.editor;
+        const t = editor.locale.t;
+        editor.ui.componentFactory.add('accessibilityHelp', locale => {
+            const buttonView = new ButtonView(locale);
+            buttonView.set({
+                label: t('Accessibility help'),
+                icon: accessibilityIcon,
+                keystroke: 'Alt+0',
+                tooltip: true
+            });
+            this.listenTo(buttonView, 'execute', () => this.show());
+            return buttonView;
+        });
+        editor.keystrokes.set('Alt+0', (data, cancel) => {
+            this.show();
+            cancel();
+        });
+        editor.accessibility.addKeystrokeInfos({
+            category: 'navigation',
+            keystrokes: [
+                { label: t('Open the accessibility help dialog'), keystroke: 'Alt+0' }
+            ]
+        });
+    }
+    /**
+     * Shows the dialog with the keystrokes registered at the moment and focuses it.
+     */
+    show() {
+        const editor = this.editor;
+        const dialog = editor.plugins.get(Dialog);
+        const t = editor.locale.t;
+        if (dialog.id == 'accessibilityHelp') {
+            dialog.view.focus();
+            return;
+        }
+        dialog.show({
+            id: 'accessibilityHelp',
+            className: 'ck-accessibility-help-dialog',
+            title: t('Accessibility help'),
+            content: new AccessibilityHelpContentView(editor.locale, editor.accessibility),
+            isModal: true
+        });
+    }
+    /**
+     * Hides the dialog.
+     */
+    hide() {
+        const dialog = this.editor.plugins.get(Dialog);
+        if (dialog.id == 'accessibilityHelp') {
+            dialog.hide();
+        }
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/contextmenu/contextmenuview
+ */
+/**
+ * The context menu view. It is a {@link module:ui/list/listview~ListView list} of buttons with the groups of items
+ * separated by the {@link module:ui/list/listseparatorview~ListSeparatorView separators}.
+ *
+ * <kbd>Esc</kbd> fires the {@link #event:cancel} event.
+ */
+class ContextMenuView extends ListView {
+    /**
+     * @inheritDoc
+     */
+    constructor(locale) {
+        super(locale);
+        this.role = 'menu';
+        this.ariaLabel = locale.t('Context menu');
+        this.extendTemplate({
+            attributes: {
+                class: ['ck-context-menu']
+            }
+        });
+        this.keystrokes.set('Esc', (data, cancel) => {
+            this.fire('cancel');
+            cancel();
+        });
+    }
+    /**
+     * Replaces the items of the menu.
+     *
+     * @param groups The groups of the menu items. Each item is an object with the `label`, `icon`, `keystroke`
+     * and `isEnabled` properties.
+     * @returns The buttons created for the items, in the same order.
+     */
+    setItems(groups) {
+        const buttonViews = [];
+        const removedViews = Array.from(this.items);
+        this.items.clear();
+        for (const view of removedViews) {
+            view.destroy();
+        }
+        for (const group of groups) {
+            if (this.items.length) {
+                this.items.add(new ListSeparatorView(this.locale));
+            }
+            for (const { label, icon, keystroke, isEnabled } of group) {
+                const listItemView = new ListItemView(this.locale);
+                const buttonView = new ButtonView(this.locale);
+                buttonView.set({
+                    label,
+                    icon,
+                    keystroke,
+                    isEnabled,
+                    withText: true,
+                    withKeystroke: !!keystroke,
+                    role: 'menuitem'
+                });
+                buttonView.delegate('execute').to(this);
+                listItemView.children.add(buttonView);
+                this.items.add(listItemView);
+                buttonViews.push(buttonView);
+            }
+        }
+        return buttonViews;
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module ui/contextmenu/contextmenu
+ */
+/**
+ * The context menu plugin. It replaces the browser context menu in the editing area with a menu of the items
+ * registered by the features:
+ *
+ * ```ts
+ * editor.plugins.get( 'ContextMenu' ).addItem( {
+ * 	id: 'widgetProperties',
+ * 	label: t( 'Widget properties' ),
+ * 	group: 'widget',
+ * 	// The item is displayed only when a widget is selected.
+ * 	isVisible: ( { selection } ) => !!selection.getSelectedElement(),
+ * 	isEnabled: () => editor.commands.get( 'widgetProperties' ).isEnabled,
+ * 	onExecute: () => editor.execute( 'widgetProperties' )
+ * } );
+ * ```
+ *
+ * The menu is opened with the right mouse button or with <kbd>Shift</kbd>+<kbd>F10</kbd> and the <kbd>Menu</kbd> key.
+ * It is not opened when there are no visible items, so the browser menu is displayed then.
+ */
+class ContextMenu extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'ContextMenu';
+    }
+    /**
+     * @inheritDoc
+     */
+    constructor(editor) {
+        super(editor);
+        /**
+         * The context menu view. It is created when the menu is displayed for the first time.
+         */
+        this.view = null;
+        this._balloonView = null;
+        /**
+         * The registered item definitions in the order of their groups.
+         */
+        this._items = [];
+        this._domEmitter = new (DomEmitterMixin())();
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        const editor = this.editor;
+        const t = editor.t;
+        // The event is listened to in the whole document, so the roots added after the editor was created are handled too.
+        this._domEmitter.listenTo(global.document, 'contextmenu', (evt, domEvt) => {
+            const isInEditable = Array.from(editor.ui.getEditableElementsNames())
+                .some(rootName => editor.ui.getEditableElement(rootName).contains(domEvt.target));
+            if (isInEditable && this.show({ left: domEvt.clientX, top: domEvt.clientY, domTarget: domEvt.target })) {
+                domEvt.preventDefault();
+            }
+        });
+        const showAtSelection = (data, cancel) => {
+            if (this.show()) {
+                cancel();
+            }
+        };
+        editor.keystrokes.set('Shift+F10', showAtSelection);
+        editor.keystrokes.set('ContextMenu', showAtSelection);
+        editor.accessibility.addKeystrokeInfos({
+            category: 'navigation',
+            keystrokes: [
+                { label: t('Open the context menu'), keystroke: ['Shift+F10', 'ContextMenu'] }
+            ]
+        });
+    }
+    /**
+     * @inheritDoc
+     */
+    destroy() {
+        super.destroy();
+        this._domEmitter.stopListening();
+        if (this._balloonView) {
+            this._balloonView.destroy();
+        }
+    }
+    /**
+     * Whether the context menu is displayed.
+     */
+    get isOpen() {
+        return !!this._balloonView && this._balloonView.isVisible;
+    }
+    /**
+     * Registers a context menu item.
+     *
+     * The items are displayed in the order of their groups (the order in which the groups were used for the first time),
+     * and in the order of registration within the groups.
+     *
+     * @param definition The item definition.
+     * @param definition.id The unique id of the item.
+     * @param definition.label The label of the item.
+     * @param definition.icon The icon of the item.
+     * @param definition.keystroke The keystroke displayed next to the label.
+     * @param definition.group The group of the item. Defaults to `'default'`.
+     * @param definition.isVisible A callback deciding whether the item is displayed. It is called with the context
+     * of the menu: the model `selection` and the `domTarget` clicked with the mouse (`null` for the keyboard).
+     * @param definition.isEnabled A callback deciding whether the item is enabled. It is called with the context of the menu.
+     * @param definition.onExecute A callback called with the context of the menu when the item is executed.
+     */
+    addItem(definition) {
+        if (this._items.some(item => item.id == definition.id)) {
+            /**
+             * The context menu item with the given id is already registered.
+             *
+             * @error contextmenu-item-exists
+             * @param id The id of the item.
+             */
+            throw new CKEditorError('contextmenu-item-exists', this, { id: definition.id });
+        }
+        const item = { group: 'default', ...definition };
+        const lastGroupItemIndex = this._items.map(({ group }) => group).lastIndexOf(item.group);
+        if (lastGroupItemIndex == -1) {
+            this._items.push(item);
+        }
+        else {
+            this._items.splice(lastGroupItemIndex + 1, 0, item);
+        }
+    }
+    /**
+     * Displays the context menu with the items visible in the current context and focuses its first item.
+     *
+     * @param options.left The horizontal position of the menu in the viewport. If not set, the menu is displayed
+     * at the selection.
+     * @param options.top The vertical position of the menu in the viewport.
+     * @param options.domTarget The DOM element the menu was opened for.
+     * @returns `true` if the menu was displayed, `false` if there were no visible items.
+     */
+    show({ left, top, domTarget = null } = {}) {
+        const editor = this.editor;
+        const context = { selection: editor.model.document.selection, domTarget };
+        const items = this._items.filter(item => !item.isVisible || item.isVisible(context));
+        if (!items.length) {
+            return false;
+        }
+        if (!this._balloonView) {
+            this._createUI();
+        }
+        const groups = new Map();
+        for (const item of items) {
+            groups.set(item.group, [...(groups.get(item.group) || []), item]);
+        }
+        const buttonViews = this.view.setItems(Array.from(groups.values()).map(group => group.map(item => ({
+            label: item.label,
+            icon: item.icon,
+            keystroke: item.keystroke,
+            isEnabled: !item.isEnabled || item.isEnabled(context)
+        }))));
+        buttonViews.forEach((buttonView, index) => {
+            buttonView.on('execute', () => {
+                this.hide(true);
+                items[index].onExecute(context);
+            });
+        });
+        this._balloonView.pin({
+            target: left === undefined ? getSelectionRect(editor) : new Rect({ left, top, right: left, bottom: top, width: 0, height: 0 }),
+            positions: getMenuPositions()
+        });
+        this.view.focus();
+        return true;
+    }
+    /**
+     * Hides the context menu.
+     *
+     * @param focusEditable Whether the editing view should be focused.
+     */
+    hide(focusEditable = false) {
+        if (!this.isOpen) {
+            return;
+        }
+        this._balloonView.unpin();
+        if (focusEditable) {
+            this.editor.editing.view.focus();
+        }
+    }
+    /**
+     * Creates the menu view and the balloon displaying it.
+     */
+    _createUI() {
+        const editor = this.editor;
+        this.view = new ContextMenuView(editor.locale);
+        this._balloonView = new BalloonPanelView(editor.locale);
+        this._balloonView.class = 'ck-context-menu__panel';
+        this._balloonView.content.add(this.view);
+        editor.ui.view.body.add(this._balloonView);
+        editor.ui.focusTracker.add(this._balloonView.element);
+        this.view.on('cancel', () => this.hide(true));
+        // The Menu key pressed in the menu (or released after opening it) should not display the browser menu over it.
+        this._domEmitter.listenTo(this._balloonView.element, 'contextmenu', (evt, domEvt) => domEvt.preventDefault());
+        clickOutsideHandler({
+            emitter: this.view,
+            activator: () => this.isOpen,
+            contextElements: () => [this._balloonView.element],
+            callback: () => this.hide()
+        });
+    }
+}
+/**
+ * Returns the rect of the end of the editing view selection the menu opened with the keyboard is displayed at.
+ */
+function getSelectionRect(editor) {
+    const view = editor.editing.view;
+    const viewRange = view.document.selection.getLastRange();
+    const domRange = viewRange && view.domConverter.viewRangeToDom(viewRange);
+    if (!domRange) {
+        return new Rect(editor.ui.getEditableElement());
+    }
+    const rects = Rect.getDomRangeRects(domRange);
+    const { right, bottom } = rects[rects.length - 1];
+    return new Rect({ left: right, top: bottom, right, bottom, width: 0, height: 0 });
+}
+/**
+ * Returns the positions of the menu next to the point it was opened at, like the native context menus.
+ */
+function getMenuPositions() {
+    const config = { withArrow: false };
+    return [
+        (targetRect, balloonRect) => ({ top: targetRect.bottom, left: targetRect.left, name: 'context-menu_se', config }),
+        (targetRect, balloonRect) => ({ top: targetRect.bottom, left: targetRect.left - balloonRect.width, name: 'context-menu_sw', config }),
+        (targetRect, balloonRect) => ({ top: targetRect.top - balloonRect.height, left: targetRect.left, name: 'context-menu_ne', config }),
+        (targetRect, balloonRect) => ({
+            top: targetRect.top - balloonRect.height,
+            left: targetRect.left - balloonRect.width,
+            name: 'context-menu_nw',
+            config
+        })
+    ];
+}
+
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
@@ -12729,4 +14853,4 @@ const icons = {
     colorPaletteIcon
 };
 
-export { AutocompleteView, BalloonPanelView, BalloonToolbar, BlockToolbar, BodyCollection, BoxedEditorUIView, ButtonLabelView, ButtonView, ColorGridView, ColorPickerView, ColorSelectorView, ColorTileView, ComponentFactory, ContextualBalloon, CssTransitionDisablerMixin, DropdownButtonView, DropdownPanelView, DropdownView, EditorUI, EditorUIView, FocusCycler, FormHeaderView, HighlightedTextView, IconView, IframeView, InlineEditableUIView, InputNumberView, InputTextView, InputView, LabelView, LabeledFieldView, ListItemGroupView, ListItemView, ListView, Model, Notification, SearchInfoView, SearchTextView, SpinnerView, SplitButtonView, StickyPanelView, SwitchButtonView, Template, TextareaView, ToolbarLineBreakView, ToolbarSeparatorView, ToolbarView, TooltipManager, View, ViewCollection, addKeyboardHandlingForGrid, addListToDropdown, addToolbarToDropdown, clickOutsideHandler, createDropdown, createLabeledDropdown, createLabeledInputNumber, createLabeledInputText, createLabeledTextarea, focusChildOnDropdownOpen, getLocalizedColorOptions, icons, injectCssTransitionDisabler, normalizeColorOptions, normalizeSingleColorDefinition, normalizeToolbarConfig, submitHandler };
+export { AccessibilityHelp, AccessibilityHelpContentView, AutocompleteView, BalloonPanelView, BalloonToolbar, BlockToolbar, BodyCollection, BoxedEditorUIView, ButtonLabelView, ButtonView, ColorGridView, ColorPickerView, ColorSelectorView, ColorTileView, CommandPalette, CommandPaletteView, ComponentFactory, ContentLossNotification, ContextMenu, ContextMenuView, ContextualBalloon, CssTransitionDisablerMixin, Dialog, DialogActionsView, DialogView, DropdownButtonView, DropdownPanelView, DropdownView, EditorUI, EditorUIView, FocusCycler, FormHeaderView, HighlightedTextView, IconView, IframeView, InlineEditableUIView, InputNumberView, InputTextView, InputView, LabelView, LabeledFieldView, ListItemGroupView, ListItemView, ListView, Model, Notification, NotificationCenterView, NotificationHistoryUI, NotificationToastView, SearchInfoView, SearchTextView, SpinnerView, SplitButtonView, StickyPanelView, SwitchButtonView, Template, TextareaView, ToolbarLineBreakView, ToolbarSeparatorView, ToolbarView, TooltipManager, View, ViewCollection, addKeyboardHandlingForGrid, addListToDropdown, addToolbarToDropdown, clickOutsideHandler, createDropdown, createLabeledDropdown, createLabeledInputNumber, createLabeledInputText, createLabeledTextarea, focusChildOnDropdownOpen, getLocalizedColorOptions, icons, injectCssTransitionDisabler, normalizeColorOptions, normalizeSingleColorDefinition, normalizeToolbarConfig, submitHandler };
@@ -3,8 +3,9 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 import { Command, Plugin } from '@ckeditor/ckeditor5-core';
-import { transformSets, NoOperation } from '@ckeditor/ckeditor5-engine';
-import { ButtonView } from '@ckeditor/ckeditor5-ui';
+import { transformSets, NoOperation, OperationFactory, Range } from '@ckeditor/ckeditor5-engine';
+import { ButtonView, createDropdown, addListToDropdown, Model } from '@ckeditor/ckeditor5-ui';
+import { Collection, CKEditorError } from '@ckeditor/ckeditor5-utils';
 
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
@@ -23,10 +24,11 @@ class BaseCommand extends Command {
     constructor(editor) {
         super(editor);
         /**
-         * Stack of items stored by the command. These are pairs of:
+         * Stack of items stored by the command. These are objects consisting of:
          *
          * * {@link module:engine/model/batch~Batch batch} saved by the command,
-         * * {@link module:engine/model/selection~Selection selection} state at the moment of saving the batch.
+         * * {@link module:engine/model/selection~Selection selection} state at the moment of saving the batch,
+         * * time at which the batch was saved.
          */
         this._stack = [];
         /**
@@ -85,9 +87,18 @@ class BaseCommand extends Command {
             ranges: docSelection.hasOwnRange ? Array.from(docSelection.getRanges()) : [],
             isBackward: docSelection.isBackward
         };
-        this._stack.push({ batch, selection });
+        this._stack.push({ batch, selection, time: Date.now() });
         this.refresh();
     }
+    /**
+     * Returns the batches stored in the stack, starting from the most recent one.
+     *
+     * @param filter An optional callback filtering the returned batches.
+     */
+    getBatches(filter) {
+        const batches = this._stack.map(item => item.batch).reverse();
+        return filter ? batches.filter(filter) : batches;
+    }
     /**
      * Removes all items from the stack.
      */
@@ -95,6 +106,26 @@ class BaseCommand extends Command {
         this._stack = [];
         this.refresh();
     }
+    /**
+     * Removes the oldest items from the stack, so it has no more than `maxSize` items and no item is older than `minTime`.
+     *
+     * @internal
+     * @param maxSize The maximum number of items in the stack.
+     * @param minTime The time (as returned by `Date.now()`) before which items are removed.
+     * @returns The batches of the removed items.
+     */
+    _trimStack(maxSize, minTime) {
+        let count = Math.max(0, this._stack.length - maxSize);
+        while (count < this._stack.length && this._stack[count].time < minTime) {
+            count++;
+        }
+        if (!count) {
+            return [];
+        }
+        const removedItems = this._stack.splice(0, count);
+        this.refresh();
+        return removedItems.map(item => item.batch);
+    }
     /**
      * Restores the {@link module:engine/model/document~Document#selection document selection} state after a batch was undone.
      *
@@ -217,13 +248,30 @@ class UndoCommand extends BaseCommand {
      * and applies the reverted version on the {@link module:engine/model/document~Document document} and removes the batch from the stack.
      * Then, it restores the {@link module:engine/model/document~Document#selection document selection}.
      *
+     * Instead of a batch, a callback can be passed. In such case, the most recent batch for which the callback returns `true`
+     * will be undone. This allows undoing changes out of order, for example, only the changes made by a given user or feature:
+     *
+     * ```ts
+     * editor.execute( 'undo', batch => batch.origin == 'user-1' );
+     * ```
+     *
      * @fires execute
      * @fires revert
-     * @param batch A batch that should be undone. If not set, the last added batch will be undone.
+     * @param batchOrFilter A batch that should be undone or a callback selecting it. If not set, the last added batch will be undone.
      */
-    execute(batch = null) {
-        // If batch is not given, set `batchIndex` to the last index in command stack.
-        const batchIndex = batch ? this._stack.findIndex(a => a.batch == batch) : this._stack.length - 1;
+    execute(batchOrFilter = null) {
+        let batchIndex;
+        if (typeof batchOrFilter == 'function') {
+            batchIndex = findLastIndex(this._stack, item => batchOrFilter(item.batch));
+            // Nothing to undo if no batch matches the filter.
+            if (batchIndex == -1) {
+                return;
+            }
+        }
+        else {
+            // If batch is not given, set `batchIndex` to the last index in command stack.
+            batchIndex = batchOrFilter ? this._stack.findIndex(a => a.batch == batchOrFilter) : this._stack.length - 1;
+        }
         const item = this._stack.splice(batchIndex, 1)[0];
         const undoingBatch = this.editor.model.createBatch({ isUndo: true });
         // All changes have to be done in one `enqueueChange` callback so other listeners will not
@@ -240,6 +288,17 @@ class UndoCommand extends BaseCommand {
         this.refresh();
     }
 }
+/**
+ * Returns the index of the last item in the array for which the callback returns `true` or `-1` if there is no such item.
+ */
+function findLastIndex(array, callback) {
+    for (let i = array.length - 1; i >= 0; i--) {
+        if (callback(array[i])) {
+            return i;
+        }
+    }
+    return -1;
+}
 
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
@@ -292,6 +351,29 @@ class RedoCommand extends BaseCommand {
  * The undo engine feature.
  *
  * It introduces the `'undo'` and `'redo'` commands to the editor.
+ *
+ * By default, the undo history is unlimited. It can be limited by the number of steps and by their age using
+ * the `undo` configuration. The oldest steps are then removed from both the undo and redo stacks, and the operations
+ * which are no longer needed to undo the remaining steps are removed from the {@link module:engine/model/history~History}:
+ *
+ * ```ts
+ * ClassicEditor
+ * 	.create( document.querySelector( '#editor' ), {
+ * 		undo: {
+ * 			// The maximum number of steps kept in each of the undo and redo stacks.
+ * 			maxStackSize: 100,
+ * 			// The maximum age of a step in milliseconds. Older steps are removed when a new step is added.
+ * 			maxAge: 60 * 60 * 1000
+ * 		}
+ * 	} );
+ *
+ * editor.plugins.get( 'UndoEditing' ).on( 'trim', ( evt, { batches } ) => {
+ * 	console.log( `Removed ${ batches.length } steps from the undo history.` );
+ * } );
+ * ```
+ *
+ * The undo and redo stacks can be {@link #exportHistory exported} to JSON and {@link #importHistory imported} back,
+ * for example, to let the user undo the changes made before the page was reloaded.
  */
 class UndoEditing extends Plugin {
     constructor() {
@@ -312,6 +394,11 @@ class UndoEditing extends Plugin {
      */
     init() {
         const editor = this.editor;
+        const t = editor.t;
+        editor.config.define('undo', {
+            maxStackSize: Infinity,
+            maxAge: Infinity
+        });
         // Create commands.
         this._undoCommand = new UndoCommand(editor);
         this._redoCommand = new RedoCommand(editor);
@@ -351,16 +438,202 @@ class UndoEditing extends Plugin {
                 this._undoCommand.addBatch(batch);
                 this._redoCommand.clearStack();
             }
+            this._trimHistory();
         }, { priority: 'highest' });
         this.listenTo(this._undoCommand, 'revert', (evt, undoneBatch, undoingBatch) => {
             this._redoCommand.addBatch(undoingBatch);
+            this._trimHistory();
         });
         editor.keystrokes.set('CTRL+Z', 'undo');
         editor.keystrokes.set('CTRL+Y', 'redo');
         editor.keystrokes.set('CTRL+SHIFT+Z', 'redo');
+        editor.accessibility.addKeystrokeInfos({
+            keystrokes: [
+                { label: t('Undo'), commandName: 'undo' },
+                { label: t('Redo'), commandName: 'redo' }
+            ]
+        });
+    }
+    /**
+     * Exports the undo and redo stacks to a JSON-serializable object. It contains the operations of the undo steps,
+     * the history operations applied after them and the document graveyard content, so the steps can be undone
+     * after {@link #importHistory importing} them in a new editor instance.
+     *
+     * ```ts
+     * const undoEditing = editor.plugins.get( 'UndoEditing' );
+     *
+     * localStorage.setItem( 'undoHistory', JSON.stringify( undoEditing.exportHistory() ) );
+     * localStorage.setItem( 'data', editor.getData() );
+     * ```
+     */
+    exportHistory() {
+        const document = this.editor.model.document;
+        const stacks = [this._undoCommand._stack, this._redoCommand._stack];
+        const baseVersions = stacks.flat()
+            .map(item => item.batch.baseVersion)
+            .filter(baseVersion => baseVersion !== null);
+        const operations = baseVersions.length ? document.history.getOperations(Math.min(...baseVersions)) : [];
+        const operationIndexes = new Map(operations.map((operation, index) => [operation, index]));
+        const [undo, redo] = stacks.map(stack => stack.map(({ batch, selection, time }) => ({
+            operations: batch.operations
+                .filter(operation => operationIndexes.has(operation))
+                .map(operation => operationIndexes.get(operation)),
+            selection: {
+                ranges: selection.ranges.map(range => range.toJSON()),
+                isBackward: selection.isBackward
+            },
+            time,
+            origin: batch.origin,
+            description: batch.description
+        })));
+        const undoPairs = [];
+        for (const operation of operations) {
+            const undoneOperation = document.history.getUndoneOperation(operation);
+            if (undoneOperation && operationIndexes.has(undoneOperation)) {
+                undoPairs.push([operationIndexes.get(undoneOperation), operationIndexes.get(operation)]);
+            }
+        }
+        return {
+            contentHash: getContentHash(document),
+            operations: operations.map(operation => operation.toJSON()),
+            undoPairs,
+            graveyard: Array.from(document.graveyard.getChildren()).map(node => node.toJSON()),
+            undo,
+            redo
+        };
+    }
+    /**
+     * Imports the undo and redo stacks {@link #exportHistory exported} from another editor instance.
+     * The editor must contain exactly the same content as the editor from which the history was exported,
+     * so the history should be imported right after {@link module:core/editor/utils/dataapimixin~DataApi#setData setting the data}:
+     *
+     * ```ts
+     * editor.setData( localStorage.getItem( 'data' ) );
+     * editor.plugins.get( 'UndoEditing' ).importHistory( JSON.parse( localStorage.getItem( 'undoHistory' ) ) );
+     * ```
+     *
+     * The imported operations are added to the {@link module:engine/model/history~History document history} without being
+     * applied, as their effect is already reflected in the content. The current undo and redo stacks are replaced.
+     *
+     * @param historyJSON The history exported by {@link #exportHistory}.
+     */
+    importHistory(historyJSON) {
+        const model = this.editor.model;
+        const document = model.document;
+        if (historyJSON.contentHash !== getContentHash(document)) {
+            /**
+             * The undo history cannot be imported because the editor content differs from the content
+             * of the editor from which the history was exported.
+             *
+             * @error undo-import-history-content-mismatch
+             */
+            throw new CKEditorError('undo-import-history-content-mismatch', this);
+        }
+        // Restore the removed content, so the undo steps can bring it back. It is inserted at the beginning of the graveyard,
+        // so it has the same offsets as in the exporting editor.
+        if (historyJSON.graveyard.length) {
+            model.enqueueChange({ isUndoable: false }, writer => {
+                const nodes = historyJSON.graveyard.map(nodeJSON => createNodeFromJSON(writer, nodeJSON));
+                for (const node of nodes.reverse()) {
+                    writer.insert(node, document.graveyard, 0);
+                }
+            });
+        }
+        const otherOperationsBatch = model.createBatch({ isUndoable: false });
+        const operations = historyJSON.operations.map(operationJSON => {
+            const operation = OperationFactory.fromJSON(operationJSON, document);
+            // The operations get consecutive versions following the current document version.
+            operation.baseVersion = document.history.version;
+            operation.isDocumentOperation = true;
+            document.history.addOperation(operation);
+            return operation;
+        });
+        for (const [undoneIndex, undoingIndex] of historyJSON.undoPairs) {
+            document.history.setOperationAsUndone(operations[undoneIndex], operations[undoingIndex]);
+        }
+        const usedOperations = new Set();
+        const [undoStack, redoStack] = [historyJSON.undo, historyJSON.redo].map(stackJSON => stackJSON.map(itemJSON => {
+            const batch = model.createBatch({ origin: itemJSON.origin, description: itemJSON.description });
+            for (const index of itemJSON.operations) {
+                batch.addOperation(operations[index]);
+                usedOperations.add(index);
+            }
+            this._batchRegistry.add(batch);
+            return {
+                batch,
+                selection: {
+                    ranges: itemJSON.selection.ranges.map(rangeJSON => Range.fromJSON(rangeJSON, document)),
+                    isBackward: itemJSON.selection.isBackward
+                },
+                time: itemJSON.time
+            };
+        }));
+        operations.forEach((operation, index) => {
+            if (!usedOperations.has(index)) {
+                otherOperationsBatch.addOperation(operation);
+            }
+        });
+        // Batches on the redo stack were created by the undo command.
+        for (const { batch } of redoStack) {
+            this._undoCommand.createdBatches.add(batch);
+        }
+        this._undoCommand._stack = undoStack;
+        this._redoCommand._stack = redoStack;
+        this._undoCommand.refresh();
+        this._redoCommand.refresh();
+    }
+    /**
+     * Removes the steps exceeding the configured limits from the undo and redo stacks and releases
+     * the history operations which are not needed anymore.
+     *
+     * @fires trim
+     */
+    _trimHistory() {
+        const { maxStackSize, maxAge } = this.editor.config.get('undo');
+        const minTime = Date.now() - maxAge;
+        const batches = [
+            ...this._undoCommand._trimStack(maxStackSize, minTime),
+            ...this._redoCommand._trimStack(maxStackSize, minTime)
+        ];
+        if (!batches.length) {
+            return;
+        }
+        const history = this.editor.model.document.history;
+        // Operations preceding the oldest remaining step are not needed to undo or redo anything.
+        const baseVersions = [...this._undoCommand.getBatches(), ...this._redoCommand.getBatches()]
+            .map(batch => batch.baseVersion)
+            .filter(baseVersion => baseVersion !== null);
+        history.removeOperationsBefore(baseVersions.length ? Math.min(...baseVersions) : history.version);
+        this.fire('trim', { batches });
     }
 }
 
+/**
+ * Returns a hash of the content of all attached roots. It is used to verify that the imported undo history matches the content.
+ */
+function getContentHash(document) {
+    const roots = document.getRoots().map(root => [root.rootName, Array.from(root.getChildren())]);
+    const content = JSON.stringify(roots);
+    let hash = 5381;
+    for (let i = 0; i < content.length; i++) {
+        hash = Math.imul(hash, 33) ^ content.charCodeAt(i);
+    }
+    return (hash >>> 0).toString(16);
+}
+/**
+ * Creates a model node (element or text) based on the provided JSON.
+ */
+function createNodeFromJSON(writer, nodeJSON) {
+    if ('name' in nodeJSON) {
+        const element = writer.createElement(nodeJSON.name, nodeJSON.attributes);
+        for (const childJSON of nodeJSON.children || []) {
+            writer.append(createNodeFromJSON(writer, childJSON), element);
+        }
+        return element;
+    }
+    return writer.createText(nodeJSON.data, nodeJSON.attributes);
+}
+
 var undoIcon = "<svg viewBox=\"0 0 20 20\" xmlns=\"http://www.w3.org/2000/svg\"><path d=\"m5.042 9.367 2.189 1.837a.75.75 0 0 1-.965 1.149l-3.788-3.18a.747.747 0 0 1-.21-.284.75.75 0 0 1 .17-.945L6.23 4.762a.75.75 0 1 1 .964 1.15L4.863 7.866h8.917A.75.75 0 0 1 14 7.9a4 4 0 1 1-1.477 7.718l.344-1.489a2.5 2.5 0 1 0 1.094-4.73l.008-.032H5.042z\"/></svg>";
 
 var redoIcon = "<svg viewBox=\"0 0 20 20\" xmlns=\"http://www.w3.org/2000/svg\"><path d=\"m14.958 9.367-2.189 1.837a.75.75 0 0 0 .965 1.149l3.788-3.18a.747.747 0 0 0 .21-.284.75.75 0 0 0-.17-.945L13.77 4.762a.75.75 0 1 0-.964 1.15l2.331 1.955H6.22A.75.75 0 0 0 6 7.9a4 4 0 1 0 1.477 7.718l-.344-1.489A2.5 2.5 0 1 1 6.039 9.4l-.008-.032h8.927z\"/></svg>";
@@ -373,7 +646,13 @@ var redoIcon = "<svg viewBox=\"0 0 20 20\" xmlns=\"http://www.w3.org/2000/svg\">
  * @module undo/undoui
  */
 /**
- * The undo UI feature. It introduces the `'undo'` and `'redo'` buttons to the editor.
+ * The maximum number of steps listed in the undo history dropdown.
+ */
+const UNDO_HISTORY_LIMIT = 20;
+/**
+ * The undo UI feature. It introduces the `'undo'` and `'redo'` buttons and the `'undoHistory'` dropdown to the editor.
+ *
+ * The undo history dropdown lists the most recent undo steps and allows undoing any of them, not only the last one.
  */
 class UndoUI extends Plugin {
     /**
@@ -391,18 +670,18 @@ class UndoUI extends Plugin {
         const t = editor.t;
         const localizedUndoIcon = locale.uiLanguageDirection == 'ltr' ? undoIcon : redoIcon;
         const localizedRedoIcon = locale.uiLanguageDirection == 'ltr' ? redoIcon : undoIcon;
-        this._addButton('undo', t('Undo'), 'CTRL+Z', localizedUndoIcon);
-        this._addButton('redo', t('Redo'), 'CTRL+Y', localizedRedoIcon);
+        this._addButton('undo', t('Undo'), localizedUndoIcon);
+        this._addButton('redo', t('Redo'), localizedRedoIcon);
+        this._addHistoryDropdown(localizedUndoIcon);
     }
     /**
      * Creates a button for the specified command.
      *
      * @param name Command name.
      * @param label Button label.
-     * @param keystroke Command keystroke.
      * @param Icon Source of the icon.
      */
-    _addButton(name, label, keystroke, Icon) {
+    _addButton(name, label, Icon) {
         const editor = this.editor;
         editor.ui.componentFactory.add(name, locale => {
             const command = editor.commands.get(name);
@@ -410,10 +689,14 @@ class UndoUI extends Plugin {
             view.set({
                 label,
                 icon: Icon,
-                keystroke,
+                keystroke: editor.keystrokes.getCommandKeystrokes(name)[0],
                 tooltip: true
             });
             view.bind('isEnabled').to(command, 'isEnabled');
+            // Display the keystroke remapped by the user. The listener is removed together with the view.
+            view.listenTo(editor.keystrokes.commandKeystrokes, `change:${name}`, () => {
+                view.keystroke = editor.keystrokes.getCommandKeystrokes(name)[0];
+            });
             this.listenTo(view, 'execute', () => {
                 editor.execute(name);
                 editor.editing.view.focus();
@@ -421,6 +704,82 @@ class UndoUI extends Plugin {
             return view;
         });
     }
+    /**
+     * Creates a dropdown listing the recent undo steps. Executing an item undoes the selected step.
+     *
+     * @param Icon Source of the icon.
+     */
+    _addHistoryDropdown(Icon) {
+        const editor = this.editor;
+        const t = editor.t;
+        editor.ui.componentFactory.add('undoHistory', locale => {
+            const command = editor.commands.get('undo');
+            const dropdownView = createDropdown(locale);
+            const itemDefinitions = new Collection();
+            dropdownView.buttonView.set({
+                label: t('Undo history'),
+                icon: Icon,
+                tooltip: true
+            });
+            dropdownView.bind('isEnabled').to(command, 'isEnabled');
+            // Refresh the list every time the dropdown opens. It has to happen after the list is created (`highest` priority)
+            // and before the list item gets focused (`normal` priority).
+            dropdownView.on('change:isOpen', () => {
+                if (!dropdownView.isOpen) {
+                    return;
+                }
+                itemDefinitions.clear();
+                itemDefinitions.addMany(command.getBatches().slice(0, UNDO_HISTORY_LIMIT).map(batch => ({
+                    type: 'button',
+                    model: new Model({
+                        label: getBatchDescription(batch, t),
+                        withText: true,
+                        batch
+                    })
+                })));
+            }, { priority: 'high' });
+            addListToDropdown(dropdownView, itemDefinitions, {
+                ariaLabel: t('Undo history'),
+                role: 'menu'
+            });
+            this.listenTo(dropdownView, 'execute', evt => {
+                editor.execute('undo', evt.source.batch);
+                editor.editing.view.focus();
+            });
+            return dropdownView;
+        });
+    }
+}
+/**
+ * Returns a human-readable description of a batch. If the batch does not have
+ * its own {@link module:engine/model/batch~Batch#description description}, it is guessed from the batch operations.
+ */
+function getBatchDescription(batch, t) {
+    let description = batch.description;
+    if (!description) {
+        const types = new Set(batch.operations.map(operation => {
+            if (operation.type == 'reinsert') {
+                return 'insert';
+            }
+            return operation.type.endsWith('Attribute') ? 'attribute' : operation.type;
+        }));
+        if (batch.isTyping) {
+            description = t('Typing');
+        }
+        else if (types.size == 1 && types.has('attribute')) {
+            description = t('Formatting');
+        }
+        else if (types.has('insert') && !types.has('remove')) {
+            description = t('Insertion');
+        }
+        else if (types.has('remove') && !types.has('insert')) {
+            description = t('Deletion');
+        }
+        else {
+            description = t('Change');
+        }
+    }
+    return batch.origin ? `${description} (${batch.origin})` : description;
 }
 
 /**
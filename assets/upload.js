@@ -3,8 +3,9 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 import { Plugin, PendingActions } from '@ckeditor/ckeditor5-core';
-import { ObservableMixin, uid, CKEditorError, Collection, logWarning } from '@ckeditor/ckeditor5-utils';
+import { ObservableMixin, uid, CKEditorError, Collection, logWarning, logError } from '@ckeditor/ckeditor5-utils';
 import { View, ButtonView } from '@ckeditor/ckeditor5-ui';
+import { ClipboardPipeline } from '@ckeditor/ckeditor5-clipboard';
 
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
@@ -95,6 +96,25 @@ class FileReader extends ObservableMixin() {
  *
  * Then, you can use {@link module:upload/filerepository~FileRepository#createLoader `createLoader()`} and the returned
  * {@link module:upload/filerepository~FileLoader} instance to load and upload files.
+ *
+ * Uploads are started through a queue that limits the number of uploads running at the same time. The limit can be set using
+ * the `upload.maxConcurrentUploads` configuration option (or changed at runtime through {@link #maxConcurrentUploads})
+ * and by default it is unlimited. Loaders waiting for a free slot have the `queued` status and are started in the order of
+ * their {@link module:upload/filerepository~FileLoader#priority priority}:
+ *
+ * ```ts
+ * ClassicEditor
+ * 	.create( document.querySelector( '#editor' ), {
+ * 		upload: {
+ * 			maxConcurrentUploads: 3
+ * 		}
+ * 	} );
+ *
+ * const fileRepository = editor.plugins.get( 'FileRepository' );
+ *
+ * fileRepository.pauseQueue();
+ * fileRepository.resumeQueue();
+ * ```
  */
 class FileRepository extends Plugin {
     constructor() {
@@ -131,6 +151,10 @@ class FileRepository extends Plugin {
     init() {
         // Keeps upload in a sync with pending actions.
         this.loaders.on('change', () => this._updatePendingAction());
+        this.set('maxConcurrentUploads', this.editor.config.get('upload.maxConcurrentUploads') || Infinity);
+        this.set('isQueuePaused', false);
+        this._queue = new UploadQueue();
+        this._queue.bind('maxConcurrency', 'isPaused').to(this, 'maxConcurrentUploads', 'isQueuePaused');
         this.set('uploaded', 0);
         this.set('uploadTotal', null);
         this.bind('uploadedPercent').to(this, 'uploaded', this, 'uploadTotal', (uploaded, total) => {
@@ -182,7 +206,7 @@ class FileRepository extends Plugin {
             logWarning('filerepository-no-upload-adapter');
             return null;
         }
-        const loader = new FileLoader(Promise.resolve(fileOrPromise), this.createUploadAdapter);
+        const loader = new FileLoader(Promise.resolve(fileOrPromise), this.createUploadAdapter, this._queue);
         this.loaders.add(loader);
         this._loadersMap.set(fileOrPromise, loader);
         // Store also file => loader mapping so loader can be retrieved by file instance returned upon Promise resolution.
@@ -214,6 +238,19 @@ class FileRepository extends Plugin {
         });
         return loader;
     }
+    /**
+     * Pauses the upload queue. Uploads that are already in progress are not interrupted, but no queued upload
+     * is started until the queue is {@link #resumeQueue resumed}.
+     */
+    pauseQueue() {
+        this.isQueuePaused = true;
+    }
+    /**
+     * Resumes the upload queue paused by {@link #pauseQueue} and starts the queued uploads.
+     */
+    resumeQueue() {
+        this.isQueuePaused = false;
+    }
     /**
      * Destroys the given loader.
      *
@@ -259,14 +296,17 @@ class FileLoader extends ObservableMixin() {
      *
      * @param filePromise A promise which resolves to a file instance.
      * @param uploadAdapterCreator The function which returns {@link module:upload/filerepository~UploadAdapter} instance.
+     * @param queue The queue starting the uploads. If not set, the upload starts immediately.
      */
-    constructor(filePromise, uploadAdapterCreator) {
+    constructor(filePromise, uploadAdapterCreator, queue) {
         super();
         this.id = uid();
         this._filePromiseWrapper = this._createFilePromiseWrapper(filePromise);
         this._adapter = uploadAdapterCreator(this);
         this._reader = new FileReader();
+        this._queue = queue || null;
         this.set('status', 'idle');
+        this.set('priority', 0);
         this.set('uploaded', 0);
         this.set('uploadTotal', null);
         this.bind('uploadedPercent').to(this, 'uploaded', this, 'uploadTotal', (uploaded, total) => {
@@ -357,6 +397,10 @@ class FileLoader extends ObservableMixin() {
     /**
      * Reads file using the provided {@link module:upload/filerepository~UploadAdapter}.
      *
+     * If the {@link module:upload/filerepository~FileRepository#maxConcurrentUploads limit of concurrent uploads} is reached
+     * or the queue is paused, the loader gets the `queued` status and the upload starts as soon as the queue allows it.
+     * Loaders with a higher {@link #priority} are started first.
+     *
      * Throws {@link module:utils/ckeditorerror~CKEditorError CKEditorError} `filerepository-upload-wrong-status` when status
      * is different than `idle`.
      * Example usage:
@@ -385,6 +429,25 @@ class FileLoader extends ObservableMixin() {
              */
             throw new CKEditorError('filerepository-upload-wrong-status', this);
         }
+        if (!this._queue) {
+            return this._upload();
+        }
+        this.status = 'queued';
+        // Include the queued file in the aggregated upload progress before the upload adapter reports the exact total.
+        this.file
+            .then(file => {
+            if (file && this.uploadTotal === null) {
+                this.uploadTotal = file.size;
+            }
+        })
+            // File loader state (and rejections) are handled in upload().
+            .catch(() => { });
+        return this._queue.add(this, () => this._upload());
+    }
+    /**
+     * Uploads the file using the upload adapter, without waiting in the queue.
+     */
+    _upload() {
         this.status = 'uploading';
         return this.file
             .then(() => this._adapter.upload())
@@ -407,6 +470,9 @@ class FileLoader extends ObservableMixin() {
     abort() {
         const status = this.status;
         this.status = 'aborted';
+        if (status == 'queued') {
+            this._queue.remove(this);
+        }
         if (!this._filePromiseWrapper.isFulfilled) {
             // Edge case: file loader is aborted before read() is called
             // so it might happen that no one handled the rejection of this promise.
@@ -428,6 +494,9 @@ class FileLoader extends ObservableMixin() {
      * @internal
      */
     _destroy() {
+        if (this.status == 'queued') {
+            this._queue.remove(this);
+        }
         this._filePromiseWrapper = undefined;
         this._reader = undefined;
         this._adapter = undefined;
@@ -457,6 +526,298 @@ class FileLoader extends ObservableMixin() {
         return wrapper;
     }
 }
+/**
+ * The queue of uploads used by the {@link module:upload/filerepository~FileRepository}. It limits the number of uploads
+ * running at the same time and starts the waiting ones in the order of their loaders' priority.
+ */
+class UploadQueue extends ObservableMixin() {
+    /**
+     * Creates a new instance of the upload queue.
+     */
+    constructor() {
+        super();
+        this.set('maxConcurrency', Infinity);
+        this.set('isPaused', false);
+        /**
+         * Uploads waiting for a free slot.
+         */
+        this._pending = [];
+        /**
+         * The number of uploads in progress.
+         */
+        this._activeCount = 0;
+        /**
+         * The counter used to keep the insertion order of uploads with the same priority.
+         */
+        this._order = 0;
+        this.on('change:maxConcurrency', () => this._process());
+        this.on('change:isPaused', () => this._process());
+    }
+    /**
+     * Adds an upload to the queue.
+     *
+     * @param loader The loader which is uploading the file.
+     * @param upload The function starting the upload. It should return a promise.
+     * @returns A promise settled with the result of the upload. It is rejected with `'aborted'` if the upload
+     * is removed from the queue before it started.
+     */
+    add(loader, upload) {
+        return new Promise((resolve, reject) => {
+            this._pending.push({ loader, upload, resolve, reject, order: this._order++ });
+            this._process();
+        });
+    }
+    /**
+     * Removes the upload of the given loader from the queue if it did not start yet.
+     */
+    remove(loader) {
+        const index = this._pending.findIndex(item => item.loader === loader);
+        if (index != -1) {
+            const [item] = this._pending.splice(index, 1);
+            item.reject('aborted');
+        }
+    }
+    /**
+     * Starts as many waiting uploads as the queue allows.
+     */
+    _process() {
+        while (!this.isPaused && this._activeCount < this.maxConcurrency && this._pending.length) {
+            // The priority may change while the upload is waiting, so the queue is sorted just before picking the next upload.
+            this._pending.sort((a, b) => (b.loader.priority - a.loader.priority) || (a.order - b.order));
+            const item = this._pending.shift();
+            this._activeCount++;
+            item.upload()
+                .then(item.resolve, item.reject)
+                .then(() => {
+                this._activeCount--;
+                this._process();
+            });
+        }
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module upload/clipboardfileupload
+ */
+/**
+ * The clipboard file upload plugin. It uploads the files pasted or dropped into the editor using
+ * the {@link module:upload/filerepository~FileRepository} and inserts the uploaded files into the content.
+ *
+ * While a file is being uploaded, a placeholder (a `fileUpload:<loader id>` marker) is displayed in its place.
+ * Once the upload is done, the content returned by the `fileUpload.createContent()` callback is inserted.
+ * By default, images are inserted as `imageBlock` or `imageInline` elements (if allowed by the schema) and other
+ * files as links with the file name.
+ *
+ * ```ts
+ * ClassicEditor
+ * 	.create( document.querySelector( '#editor' ), {
+ * 		fileUpload: {
+ * 			// Only files of the listed MIME types are uploaded. Wildcards like `image/*` are supported.
+ * 			allowedTypes: [ 'image/*', 'application/pdf' ],
+ *
+ * 			createContent: ( { writer, file, response } ) => {
+ * 				return writer.createText( file.name, { linkHref: response.default } );
+ * 			}
+ * 		}
+ * 	} );
+ * ```
+ */
+class ClipboardFileUpload extends Plugin {
+    /**
+     * @inheritDoc
+     */
+    static get pluginName() {
+        return 'ClipboardFileUpload';
+    }
+    /**
+     * @inheritDoc
+     */
+    static get requires() {
+        return [ClipboardPipeline, FileRepository];
+    }
+    /**
+     * @inheritDoc
+     */
+    constructor(editor) {
+        super(editor);
+        editor.config.define('fileUpload', {
+            allowedTypes: ['*/*'],
+            createContent: createDefaultContent
+        });
+        /**
+         * Files being uploaded and their loaders mapped by the names of their placeholder markers.
+         */
+        this._uploads = new Map();
+    }
+    /**
+     * @inheritDoc
+     */
+    init() {
+        const editor = this.editor;
+        const model = editor.model;
+        const viewDocument = editor.editing.view.document;
+        const allowedTypes = editor.config.get('fileUpload.allowedTypes');
+        editor.conversion.for('editingDowncast').markerToElement({
+            model: 'fileUpload',
+            view: (data, { writer }) => this._createPlaceholder(data.markerName, writer)
+        });
+        this.listenTo(viewDocument, 'clipboardInput', (evt, data) => {
+            // Skip if non empty HTML data is included. Some applications (e.g. office suites) put a rendered image
+            // of the copied content next to its HTML.
+            if (data.dataTransfer.getData('text/html') || !model.canEditAt(model.document.selection)) {
+                return;
+            }
+            const files = Array.from(data.dataTransfer.files).filter(file => isAllowedType(file.type, allowedTypes));
+            if (!files.length) {
+                return;
+            }
+            evt.stop();
+            model.change(writer => {
+                // Set the selection to the target ranges, so the files are inserted in the drop position.
+                if (data.targetRanges) {
+                    writer.setSelection(data.targetRanges.map(viewRange => editor.editing.mapper.toModelRange(viewRange)));
+                }
+                for (const file of files) {
+                    this._uploadFileAndLogErrors(file);
+                }
+            });
+        }, { priority: 'high' });
+    }
+    /**
+     * Uploads the given file and inserts it at the selection once the upload is done.
+     *
+     * @param file The file to upload.
+     * @returns A promise resolved once the uploaded file was inserted or the upload failed. It is rejected
+     * if the uploaded file could not be inserted.
+     */
+    uploadFile(file) {
+        const editor = this.editor;
+        const model = editor.model;
+        const fileRepository = editor.plugins.get(FileRepository);
+        const loader = fileRepository.createLoader(file);
+        if (!loader) {
+            return Promise.resolve();
+        }
+        const markerName = `fileUpload:${loader.id}`;
+        this._uploads.set(markerName, { file, loader });
+        model.change(writer => {
+            const position = model.document.selection.getFirstPosition();
+            writer.addMarker(markerName, {
+                range: writer.createRange(position),
+                usingOperation: false,
+                affectsData: false
+            });
+        });
+        const updatePlaceholder = () => editor.editing.reconvertMarker(markerName);
+        loader.on('change:uploadedPercent', updatePlaceholder);
+        // Only the upload errors are reported to the user. The errors thrown while inserting the uploaded file are not caught.
+        return loader.upload()
+            .then(response => {
+            // Do not insert the file if the editor was destroyed in the meantime.
+            if (editor.state == 'destroyed' || !model.markers.has(markerName)) {
+                return;
+            }
+            const range = model.markers.get(markerName).getRange();
+            // Do not insert the file if its placeholder was removed together with the content around it.
+            if (range.root.rootName == '$graveyard') {
+                return;
+            }
+            model.change(writer => {
+                const content = editor.config.get('fileUpload.createContent')({ writer, file, response, position: range.start });
+                if (content) {
+                    model.insertContent(content, range.start);
+                }
+            });
+        }, error => {
+            // The upload was aborted on purpose with `loader.abort()`, so there is nothing to report.
+            if (loader.status == 'aborted') {
+                return;
+            }
+            if (editor.plugins.has('Notification')) {
+                const t = editor.t;
+                editor.plugins.get('Notification').showWarning(error, {
+                    title: t('Upload failed'),
+                    namespace: 'upload',
+                    actions: [{ label: t('Retry upload'), onExecute: () => this._uploadFileAndLogErrors(file) }]
+                });
+            }
+        })
+            .finally(() => {
+            loader.off('change:uploadedPercent', updatePlaceholder);
+            this._uploads.delete(markerName);
+            if (editor.state != 'destroyed' && model.markers.has(markerName)) {
+                model.change(writer => writer.removeMarker(markerName));
+            }
+            fileRepository.destroyLoader(loader);
+        });
+    }
+    /**
+     * Uploads the file like {@link #uploadFile} does and logs the errors thrown while inserting the uploaded file,
+     * as nothing waits for the upload started by pasting or dropping the file, or by retrying it.
+     */
+    _uploadFileAndLogErrors(file) {
+        this.uploadFile(file).catch(error => {
+            /**
+             * The uploaded file could not be inserted into the editor content, for instance, because
+             * the `fileUpload.createContent()` callback threw an error.
+             *
+             * @error clipboardfileupload-insertion-failed
+             * @param error The error thrown while inserting the file.
+             */
+            logError('clipboardfileupload-insertion-failed', { error });
+        });
+    }
+    /**
+     * Creates the placeholder displayed in the editing view while the file is being uploaded.
+     */
+    _createPlaceholder(markerName, writer) {
+        const { file, loader } = this._uploads.get(markerName);
+        const t = this.editor.t;
+        const percent = Math.round(loader.uploadedPercent);
+        return writer.createUIElement('span', { class: 'ck-file-upload-placeholder' }, function (domDocument) {
+            const domElement = this.toDomElement(domDocument);
+            domElement.textContent = `${t('Uploading')} ${file.name} ${percent}%`;
+            return domElement;
+        });
+    }
+}
+/**
+ * Checks whether the MIME type matches one of the allowed types. The allowed types can use wildcards, e.g. `image/*` or `*\/*`.
+ */
+function isAllowedType(type, allowedTypes) {
+    const [mainType, subType] = (type || 'application/octet-stream').split('/');
+    return allowedTypes.some(allowedType => {
+        const [allowedMainType, allowedSubType] = allowedType.split('/');
+        return (allowedMainType == '*' || allowedMainType == mainType) && (allowedSubType == '*' || allowedSubType == subType);
+    });
+}
+/**
+ * The default `fileUpload.createContent()` callback. Creates an image for image files and a link for other files.
+ * Returns `null` if the uploaded file cannot be inserted at the given position.
+ */
+function createDefaultContent({ writer, file, response, position }) {
+    const schema = writer.model.schema;
+    const url = response.default;
+    if (!url) {
+        return null;
+    }
+    if (file.type.startsWith('image/')) {
+        if (schema.checkChild(position, 'imageInline')) {
+            return writer.createElement('imageInline', { src: url });
+        }
+        if (schema.isRegistered('imageBlock') && schema.findAllowedParent(position, 'imageBlock')) {
+            return writer.createElement('imageBlock', { src: url });
+        }
+    }
+    if (!schema.checkChild(position, '$text')) {
+        return null;
+    }
+    return writer.createText(file.name, schema.checkAttribute('$text', 'linkHref') ? { linkHref: url } : {});
+}
 
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
@@ -653,7 +1014,7 @@ let Adapter$1 = class Adapter {
 /**
  * @module upload/adapters/simpleuploadadapter
  */
-/* globals XMLHttpRequest, FormData */
+/* globals XMLHttpRequest, FormData, setTimeout, clearTimeout */
 /**
  * The Simple upload adapter allows uploading images to an application running on your server using
  * the [`XMLHttpRequest`](https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest) API with a
@@ -676,6 +1037,39 @@ let Adapter$1 = class Adapter {
  * See the {@glink features/images/image-upload/simple-upload-adapter "Simple upload adapter"} guide to learn how to
  * learn more about the feature (configuration, server–side requirements, etc.).
  *
+ * Large files can be sent in chunks, so a network failure does not require sending the whole file again.
+ * Each chunk is sent as a separate `POST` request with the `Content-Range` header and the `uploadId`, `fileKey`, `offset`
+ * and `totalSize` form fields. A failed chunk is retried with an exponential backoff and the upload resumes
+ * from the last offset acknowledged by the server:
+ *
+ * ```ts
+ * ClassicEditor
+ * 	.create( document.querySelector( '#editor' ), {
+ * 		simpleUpload: {
+ * 			uploadUrl: 'http://example.com',
+ * 			chunkedUpload: {
+ * 				// The size of a single chunk in bytes. Defaults to 1MB.
+ * 				chunkSize: 2 * 1024 * 1024,
+ * 				// How many times a single chunk is retried before the upload fails. Defaults to 3.
+ * 				maxRetries: 5,
+ * 				// The delay before the first retry in milliseconds. It doubles with every subsequent retry. Defaults to 500.
+ * 				retryDelay: 1000,
+ * 				// Returns the key of the file sent with every chunk. Defaults to a key
+ * 				// created from the name, size and modification time of the file.
+ * 				getFileKey: file => `${ userId }:${ file.name }:${ file.size }`
+ * 			}
+ * 		}
+ * 	} )
+ * 	.then( ... )
+ * 	.catch( ... );
+ * ```
+ *
+ * The server may respond to a chunk with the `offset` property to tell the adapter from which byte it should continue.
+ * The `uploadId` is unique for every upload, so the chunks of the same file uploaded twice at the same time are not mixed up.
+ * The same file is always sent with the same `fileKey`, so the server can use it to resume an upload interrupted earlier,
+ * for instance, by reloading the page. The server should keep the file keys of different users apart. The upload fails if the acknowledged offset does not move past the sent chunk's start.
+ * The response to the last chunk must have the same format as the response to a regular (not chunked) upload.
+ *
  * Check out the {@glink features/images/image-upload/image-upload comprehensive "Image upload overview"} to learn about
  * other ways to upload images into CKEditor 5.
  */
@@ -712,7 +1106,7 @@ class SimpleUploadAdapter extends Plugin {
             return;
         }
         this.editor.plugins.get(FileRepository).createUploadAdapter = loader => {
-            return new Adapter(loader, options);
+            return options.chunkedUpload ? new ChunkedAdapter(loader, options) : new Adapter(loader, options);
         };
     }
 }
@@ -803,6 +1197,17 @@ class Adapter {
      * @param file File instance to be uploaded.
      */
     _sendRequest(file) {
+        this._setRequestOptions();
+        // Prepare the form data.
+        const data = new FormData();
+        data.append('upload', file);
+        // Send the request.
+        this.xhr.send(data);
+    }
+    /**
+     * Sets the headers and the `withCredentials` flag of the request as specified in the editor's configuration.
+     */
+    _setRequestOptions() {
         // Set headers if specified.
         const headers = this.options.headers || {};
         // Use the withCredentials flag if specified.
@@ -811,12 +1216,186 @@ class Adapter {
             this.xhr.setRequestHeader(headerName, headers[headerName]);
         }
         this.xhr.withCredentials = withCredentials;
-        // Prepare the form data.
-        const data = new FormData();
-        data.append('upload', file);
-        // Send the request.
-        this.xhr.send(data);
     }
 }
+/**
+ * Upload adapter sending the file in chunks. It is used when
+ * {@link module:upload/uploadconfig~SimpleUploadConfig#chunkedUpload `simpleUpload.chunkedUpload`} is configured.
+ */
+class ChunkedAdapter extends Adapter {
+    /**
+     * Creates a new adapter instance.
+     */
+    constructor(loader, options) {
+        super(loader, options);
+        const { chunkSize = 1024 * 1024, maxRetries = 3, retryDelay = 500, getFileKey = getDefaultFileKey } = options.chunkedUpload === true ? {} : options.chunkedUpload;
+        this.chunkSize = chunkSize;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this._getFileKey = getFileKey;
+        /**
+         * The identifier sent with every chunk, so the server can tell which upload the chunk belongs to.
+         */
+        this.uploadId = uid();
+        /**
+         * The key sent with every chunk, so the server can resume an earlier upload of the same file.
+         * It is set when the file is read.
+         */
+        this.fileKey = null;
+        /**
+         * The number of bytes acknowledged by the server. The next chunk starts at this offset.
+         */
+        this._offset = 0;
+        this._isAborted = false;
+        this._retryTimeoutId = null;
+        this._cancelRetry = null;
+    }
+    /**
+     * Starts the upload process.
+     *
+     * @see module:upload/filerepository~UploadAdapter#upload
+     */
+    upload() {
+        return this.loader.file
+            .then(file => {
+            this.fileKey = this._getFileKey(file);
+            this.loader.uploadTotal = file.size;
+            return this._uploadChunks(file, 0);
+        });
+    }
+    /**
+     * Aborts the upload process.
+     *
+     * @see module:upload/filerepository~UploadAdapter#abort
+     */
+    abort() {
+        this._isAborted = true;
+        if (this._cancelRetry) {
+            this._cancelRetry();
+        }
+        super.abort();
+    }
+    /**
+     * Sends the chunk starting at the last acknowledged offset and continues with the next ones
+     * until the whole file is uploaded.
+     *
+     * @param file File instance to be uploaded.
+     * @param attempt The number of failed attempts to send the current chunk.
+     */
+    _uploadChunks(file, attempt) {
+        const start = this._offset;
+        const end = Math.min(start + this.chunkSize, file.size);
+        return this._sendChunk(file, start, end)
+            .then(response => {
+            // The server may acknowledge a different offset, for example, when it already received
+            // a part of the file before the connection was lost.
+            const offset = typeof response.offset == 'number' ? response.offset : end;
+            // The upload would never finish if the server did not acknowledge any new bytes.
+            if (offset < file.size && offset <= start) {
+                throw `Couldn't upload file: ${file.name}.`;
+            }
+            this._offset = offset;
+            this.loader.uploaded = Math.min(this._offset, file.size);
+            if (this._offset < file.size) {
+                return this._uploadChunks(file, 0);
+            }
+            const urls = response.url ? { default: response.url } : response.urls;
+            // Resolve with the normalized `urls` property and pass the rest of the response
+            // to allow customizing the behavior of features relying on the upload adapters.
+            return {
+                ...response,
+                urls
+            };
+        }, error => {
+            if (this._isAborted || !error) {
+                throw undefined;
+            }
+            if (!error.isRetriable || attempt >= this.maxRetries) {
+                throw error.message;
+            }
+            this.loader.uploaded = this._offset;
+            return this._wait(this.retryDelay * Math.pow(2, attempt))
+                .then(() => this._uploadChunks(file, attempt + 1));
+        });
+    }
+    /**
+     * Sends a single chunk of the file.
+     *
+     * @param file File instance to be uploaded.
+     * @param start The offset of the first byte of the chunk.
+     * @param end The offset of the byte following the last byte of the chunk.
+     * @returns A promise resolved with the server response. It is rejected with an object with the `message` and `isRetriable`
+     * properties when the chunk could not be sent, or with nothing when the request was aborted.
+     */
+    _sendChunk(file, start, end) {
+        return new Promise((resolve, reject) => {
+            this._initRequest();
+            const xhr = this.xhr;
+            const loader = this.loader;
+            const genericErrorText = `Couldn't upload file: ${file.name}.`;
+            xhr.addEventListener('error', () => reject({ message: genericErrorText, isRetriable: true }));
+            xhr.addEventListener('abort', () => reject());
+            xhr.addEventListener('load', () => {
+                const response = xhr.response;
+                // Server errors, timeouts and rate limiting are temporary, so the chunk can be sent again.
+                if (xhr.status >= 500 || xhr.status == 408 || xhr.status == 429) {
+                    return reject({ message: genericErrorText, isRetriable: true });
+                }
+                if (!response || response.error) {
+                    return reject({
+                        message: response && response.error && response.error.message ? response.error.message : genericErrorText,
+                        isRetriable: false
+                    });
+                }
+                resolve(response);
+            });
+            // Upload progress when it is supported.
+            /* istanbul ignore else -- @preserve */
+            if (xhr.upload) {
+                xhr.upload.addEventListener('progress', evt => {
+                    if (evt.lengthComputable) {
+                        // The request contains the form data overhead, so the progress is scaled to the chunk size.
+                        loader.uploaded = start + Math.round(evt.loaded / evt.total * (end - start));
+                    }
+                });
+            }
+            this._setRequestOptions();
+            xhr.setRequestHeader('Content-Range', file.size ? `bytes ${start}-${end - 1}/${file.size}` : 'bytes */0');
+            const data = new FormData();
+            data.append('upload', file.slice(start, end), file.name);
+            data.append('uploadId', this.uploadId);
+            data.append('fileKey', this.fileKey);
+            data.append('offset', String(start));
+            data.append('totalSize', String(file.size));
+            xhr.send(data);
+        });
+    }
+    /**
+     * Waits before the next attempt to send a chunk. The returned promise is rejected if the upload is aborted in the meantime.
+     *
+     * @param time The time to wait in milliseconds.
+     */
+    _wait(time) {
+        return new Promise((resolve, reject) => {
+            this._retryTimeoutId = setTimeout(() => {
+                this._cancelRetry = null;
+                resolve();
+            }, time);
+            this._cancelRetry = () => {
+                clearTimeout(this._retryTimeoutId);
+                this._cancelRetry = null;
+                reject();
+            };
+        });
+    }
+}
+
+/**
+ * Returns the default key of the file sent in chunks. It is created from the name, size and modification time of the file,
+ * so uploading the same file again (e.g. after the page was reloaded) uses the same key.
+ */
+function getDefaultFileKey(file) {
+    return [file.name, file.size, file.lastModified].join(':');
+}
 
-export { Base64UploadAdapter, FileDialogButtonView, FileRepository, SimpleUploadAdapter };
+export { Base64UploadAdapter, ClipboardFileUpload, FileDialogButtonView, FileRepository, SimpleUploadAdapter };
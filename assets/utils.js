@@ -4389,6 +4389,17 @@ const modifiersToGlyphsNonMac = {
     alt: 'Alt+',
     shift: 'Shift+'
 };
+/**
+ * Glyphs of the keys which names are ambiguous or too long to display, e.g. the arrow keys, which key codes
+ * are shared with the punctuation characters.
+ */
+const keyCodesToGlyphs = {
+    37: '←',
+    38: '↑',
+    39: '→',
+    40: '↓',
+    93: 'Menu'
+};
 /**
  * An object with `keyName => keyCode` pairs for a set of known keys.
  *
@@ -4399,7 +4410,7 @@ const modifiersToGlyphsNonMac = {
  * * `f1-f12`,
  * * `` ` ``, `-`, `=`, `[`, `]`, `;`, `'`, `,`, `.`, `/`, `\`,
  * * `arrow(left|up|right|bottom)`,
- * * `backspace`, `delete`, `enter`, `esc`, `tab`,
+ * * `backspace`, `delete`, `enter`, `esc`, `tab`, `contextmenu`,
  * * `ctrl`, `cmd`, `shift`, `alt`.
  */
 const keyCodes = generateKnownKeyCodes();
@@ -4465,6 +4476,24 @@ function parseKeystroke(keystroke) {
         .map(key => (typeof key == 'string') ? getEnvKeyCode(key) : key)
         .reduce((key, sum) => sum + key, 0);
 }
+/**
+ * Parses the keystroke or a chord (a sequence of keystrokes separated by spaces, e.g. `"Ctrl+K Ctrl+C"`) and returns
+ * the codes of its keystrokes.
+ *
+ * ```ts
+ * parseKeystrokeSequence( 'Ctrl+K Ctrl+C' ); // [ parseKeystroke( 'Ctrl+K' ), parseKeystroke( 'Ctrl+C' ) ]
+ * parseKeystrokeSequence( 'Ctrl+K' ); // [ parseKeystroke( 'Ctrl+K' ) ]
+ * ```
+ *
+ * @param keystroke The keystroke or chord definition. A keystroke defined as an array of keys is never a chord.
+ * @returns Keystroke codes.
+ */
+function parseKeystrokeSequence(keystroke) {
+    if (typeof keystroke != 'string') {
+        return [parseKeystroke(keystroke)];
+    }
+    return splitKeystrokeSequenceText(keystroke).map(parseKeystroke);
+}
 /**
  * Translates any keystroke string text like `"Ctrl+A"` to an
  * environment–specific keystroke, i.e. `"⌘A"` on macOS.
@@ -4473,6 +4502,9 @@ function parseKeystroke(keystroke) {
  * @returns The keystroke text specific for the environment.
  */
 function getEnvKeystrokeText(keystroke) {
+    if (typeof keystroke == 'string' && splitKeystrokeSequenceText(keystroke).length > 1) {
+        return splitKeystrokeSequenceText(keystroke).map(getEnvKeystrokeText).join(' ');
+    }
     let keystrokeCode = parseKeystroke(keystroke);
     const modifiersToGlyphs = Object.entries((env.isMac || env.isiOS) ? modifiersToGlyphsMac : modifiersToGlyphsNonMac);
     const modifiers = modifiersToGlyphs.reduce((modifiers, [name, glyph]) => {
@@ -4483,7 +4515,7 @@ function getEnvKeystrokeText(keystroke) {
         }
         return modifiers;
     }, '');
-    return modifiers + (keystrokeCode ? keyCodeNames[keystrokeCode] : '');
+    return modifiers + (keystrokeCode ? keyCodesToGlyphs[keystrokeCode] || keyCodeNames[keystrokeCode] : '');
 }
 /**
  * Returns `true` if the provided key code represents one of the arrow keys.
@@ -4564,6 +4596,7 @@ function generateKnownKeyCodes() {
         space: 32,
         esc: 27,
         tab: 9,
+        contextmenu: 93,
         // The idea about these numbers is that they do not collide with any real key codes, so we can use them
         // like bit masks.
         ctrl: 0x110000,
@@ -4593,6 +4626,9 @@ function generateKnownKeyCodes() {
 function splitKeystrokeText(keystroke) {
     return keystroke.split('+').map(key => key.trim());
 }
+function splitKeystrokeSequenceText(keystroke) {
+    return keystroke.replace(/\s*\+\s*/g, '+').trim().split(/\s+/);
+}
 
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
@@ -5515,6 +5551,15 @@ class FocusTracker extends DomEmitterMixin(ObservableMixin()) {
  *
  * That keystroke handler will listen to `keydown` events fired in this view's main element.
  *
+ * The handler supports chords, i.e. sequences of keystrokes separated by spaces which must be pressed one after another
+ * within the {@link #chordTimeout}:
+ *
+ * ```ts
+ * editor.keystrokes.set( 'Ctrl+K Ctrl+C', ( keyEvtData, cancel ) => {
+ * 	console.log( 'Ctrl+K followed by Ctrl+C has been pressed' );
+ * 	cancel();
+ * } );
+ * ```
  */
 class KeystrokeHandler {
     /**
@@ -5522,6 +5567,25 @@ class KeystrokeHandler {
      */
     constructor() {
         this._listener = new (DomEmitterMixin())();
+        /**
+         * The time (in milliseconds) to wait for the next keystroke of a chord.
+         */
+        this.chordTimeout = 1500;
+        /**
+         * The state of the chord being pressed. Its observable `keystrokes` property holds the codes of the keystrokes
+         * pressed so far. It is empty when no chord is pending.
+         *
+         * ```ts
+         * editor.keystrokes.pendingChord.on( 'change:keystrokes', ( evt, name, keystrokes ) => {
+         * 	console.log( keystrokes.map( getEnvKeystrokeText ).join( ' ' ) );
+         * } );
+         * ```
+         *
+         * @observable
+         */
+        this.pendingChord = new (ObservableMixin())();
+        this.pendingChord.set('keystrokes', []);
+        this._chordTimeoutId = null;
     }
     /**
      * Starts listening for `keydown` events from a given emitter.
@@ -5537,28 +5601,41 @@ class KeystrokeHandler {
         // the listeners and safely cancel execution, when needed. Instead of duplicating the Emitter logic,
         // the KeystrokeHandler re–uses it to do its job.
         this._listener.listenTo(emitter, 'keydown', (evt, keyEvtData) => {
-            this._listener.fire('_keydown:' + getCode(keyEvtData), keyEvtData);
+            this._fireKeystroke(keyEvtData);
         });
     }
     /**
      * Registers a handler for the specified keystroke.
      *
      * @param keystroke Keystroke defined in a format accepted by
-     * the {@link module:utils/keyboard~parseKeystroke} function.
+     * the {@link module:utils/keyboard~parseKeystroke} function or a chord accepted by
+     * the {@link module:utils/keyboard~parseKeystrokeSequence} function.
      * @param callback A function called with the
      * {@link module:engine/view/observer/keyobserver~KeyEventData key event data} object and
      * a helper function to call both `preventDefault()` and `stopPropagation()` on the underlying event.
      * @param options Additional options.
      * @param options.priority The priority of the keystroke
      * callback. The higher the priority value the sooner the callback will be executed. Keystrokes having the same priority
-     * are called in the order they were added.
+     * are called in the order they were added. The first keystroke of a chord is handled with the same priority,
+     * so a callback of the same keystroke with a higher priority takes over the chord.
      */
     set(keystroke, callback, options = {}) {
-        const keyCode = parseKeystroke(keystroke);
+        const keyCodes = parseKeystrokeSequence(keystroke);
         const priority = options.priority;
+        // Each keystroke starting the chord makes the handler wait for the next one.
+        for (let length = 1; length < keyCodes.length; length++) {
+            const chordKeyCodes = keyCodes.slice(0, length);
+            this._listener.listenTo(this._listener, '_keydown:' + chordKeyCodes.join(' '), (evt, keyEvtData) => {
+                keyEvtData.preventDefault();
+                keyEvtData.stopPropagation();
+                evt.stop();
+                evt.return = true;
+                this._setPendingChord(chordKeyCodes);
+            }, { priority });
+        }
         // Execute the passed callback on KeystrokeHandler#_keydown.
         // TODO: https://github.com/ckeditor/ckeditor5-utils/issues/144
-        this._listener.listenTo(this._listener, '_keydown:' + keyCode, (evt, keyEvtData) => {
+        this._listener.listenTo(this._listener, '_keydown:' + keyCodes.join(' '), (evt, keyEvtData) => {
             callback(keyEvtData, () => {
                 // Stop the event in the DOM: no listener in the web page
                 // will be triggered by this event.
@@ -5575,11 +5652,13 @@ class KeystrokeHandler {
     /**
      * Triggers a keystroke handler for a specified key combination, if such a keystroke was {@link #set defined}.
      *
+     * If a chord is pending, the keystroke continues it.
+     *
      * @param keyEvtData Key event data.
      * @returns Whether the keystroke was handled.
      */
     press(keyEvtData) {
-        return !!this._listener.fire('_keydown:' + getCode(keyEvtData), keyEvtData);
+        return this._fireKeystroke(keyEvtData);
     }
     /**
      * Stops listening to `keydown` events from the given emitter.
@@ -5592,8 +5671,43 @@ class KeystrokeHandler {
      */
     destroy() {
         this.stopListening();
+        this._setPendingChord([]);
+    }
+    /**
+     * Fires the keystroke event for the pressed keystroke or, when a chord is pending, for the chord it completes.
+     *
+     * If the keystroke does not continue the pending chord, the chord is abandoned and the keystroke is handled on its own.
+     */
+    _fireKeystroke(keyEvtData) {
+        const keyCode = getCode(keyEvtData);
+        const pendingKeyCodes = this.pendingChord.keystrokes;
+        if (pendingKeyCodes.length) {
+            // Pressing the modifier keys of the next keystroke does not break the chord.
+            if (MODIFIER_KEY_CODES.includes(keyEvtData.keyCode)) {
+                return false;
+            }
+            this._setPendingChord([]);
+            if (this._listener.fire('_keydown:' + [...pendingKeyCodes, keyCode].join(' '), keyEvtData)) {
+                return true;
+            }
+        }
+        return !!this._listener.fire('_keydown:' + keyCode, keyEvtData);
+    }
+    /**
+     * Updates the pending chord and (re)starts the timeout after which the chord is abandoned.
+     */
+    _setPendingChord(keyCodes) {
+        clearTimeout(this._chordTimeoutId);
+        this.pendingChord.keystrokes = keyCodes;
+        if (keyCodes.length) {
+            this._chordTimeoutId = setTimeout(() => this._setPendingChord([]), this.chordTimeout);
+        }
     }
 }
+/**
+ * The key codes of the modifier keys: <kbd>Shift</kbd>, <kbd>Ctrl</kbd>, <kbd>Alt</kbd> and <kbd>Cmd</kbd>.
+ */
+const MODIFIER_KEY_CODES = [16, 17, 18, 91, 92, 224];
 
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
@@ -5892,4 +6006,4 @@ function buildEmojiRegexp() {
     return new RegExp(sequence, 'ug');
 }
 
-export { CKEditorError, Collection, Config, DomEmitterMixin, ElementReplacer, EmitterMixin, EventInfo, FocusTracker, KeystrokeHandler, Locale, ObservableMixin, Rect, ResizeObserver, compareArrays, count, createElement, delay, diff, diffToChanges, env, fastDiff, findClosestScrollableAncestor, first, getAncestors, getBorderWidths, getCode, getDataFromElement, getEnvKeystrokeText, getLanguageDirection, getLocalizedArrowKeyCodeDirection, getOptimalPosition, global, indexOf, insertAt, insertToPriorityArray, isArrowKeyCode, isCombiningMark, isComment, isForwardArrowKeyCode, isHighSurrogateHalf, isInsideCombinedSymbol, isInsideEmojiSequence, isInsideSurrogatePair, isIterable, isLowSurrogateHalf, isNode, isRange, isText, isValidAttributeName, isVisible, keyCodes, logError, logWarning, mix, parseKeystroke, priorities, releaseDate, remove, scrollAncestorsToShowTarget, scrollViewportToShowTarget, setDataInElement, spliceArray, toArray, toMap, toUnit, uid, verifyLicense, version };
+export { CKEditorError, Collection, Config, DomEmitterMixin, ElementReplacer, EmitterMixin, EventInfo, FocusTracker, KeystrokeHandler, Locale, ObservableMixin, Rect, ResizeObserver, compareArrays, count, createElement, delay, diff, diffToChanges, env, fastDiff, findClosestScrollableAncestor, first, getAncestors, getBorderWidths, getCode, getDataFromElement, getEnvKeystrokeText, getLanguageDirection, getLocalizedArrowKeyCodeDirection, getOptimalPosition, global, indexOf, insertAt, insertToPriorityArray, isArrowKeyCode, isCombiningMark, isComment, isForwardArrowKeyCode, isHighSurrogateHalf, isInsideCombinedSymbol, isInsideEmojiSequence, isInsideSurrogatePair, isIterable, isLowSurrogateHalf, isNode, isRange, isText, isValidAttributeName, isVisible, keyCodes, logError, logWarning, mix, parseKeystroke, parseKeystrokeSequence, priorities, releaseDate, remove, scrollAncestorsToShowTarget, scrollViewportToShowTarget, setDataInElement, spliceArray, toArray, toMap, toUnit, uid, verifyLicense, version };
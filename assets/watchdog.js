@@ -298,6 +298,171 @@ function isObject(structure) {
     return typeof structure === 'object' && structure !== null;
 }
 
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module watchdog/storage/localstoragewatchdogstorage
+ */
+/* globals window */
+/**
+ * A watchdog storage that keeps the editor snapshots in the browser's `localStorage`.
+ *
+ * It is the simplest persistent storage available, but it is synchronous and limited in size (usually to 5MB per origin),
+ * so it is recommended only for editors with a moderate amount of content. For bigger documents use
+ * the {@link module:watchdog/storage/indexeddbwatchdogstorage~IndexedDBWatchdogStorage}.
+ *
+ * ```ts
+ * const watchdog = new EditorWatchdog( ClassicEditor, {
+ * 	storage: new LocalStorageWatchdogStorage()
+ * } );
+ * ```
+ *
+ * A custom storage can be used as well. It must be an object implementing the following methods, each of them returning a promise:
+ *
+ * * `load( key )` &ndash; Resolves with the snapshot saved under the given key or `null` if there is no such snapshot.
+ * * `save( key, snapshot )` &ndash; Saves the snapshot (a plain, JSON-serializable object) under the given key.
+ * * `remove( key )` &ndash; Removes the snapshot saved under the given key.
+ */
+class LocalStorageWatchdogStorage {
+    /**
+     * Loads the snapshot saved under the given key.
+     *
+     * @param key The key of the snapshot.
+     * @returns A promise resolved with the snapshot or `null` if there is no snapshot saved under the given key.
+     */
+    load(key) {
+        return Promise.resolve().then(() => {
+            const value = window.localStorage.getItem(key);
+            return value ? JSON.parse(value) : null;
+        });
+    }
+    /**
+     * Saves the snapshot under the given key.
+     *
+     * @param key The key of the snapshot.
+     * @param snapshot The snapshot to save.
+     */
+    save(key, snapshot) {
+        return Promise.resolve().then(() => {
+            window.localStorage.setItem(key, JSON.stringify(snapshot));
+        });
+    }
+    /**
+     * Removes the snapshot saved under the given key.
+     *
+     * @param key The key of the snapshot.
+     */
+    remove(key) {
+        return Promise.resolve().then(() => {
+            window.localStorage.removeItem(key);
+        });
+    }
+}
+
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+/**
+ * @module watchdog/storage/indexeddbwatchdogstorage
+ */
+/* globals window */
+/**
+ * A watchdog storage that keeps the editor snapshots in the browser's IndexedDB database.
+ *
+ * Unlike the {@link module:watchdog/storage/localstoragewatchdogstorage~LocalStorageWatchdogStorage}, it does not block
+ * the main thread while saving and is suitable for large documents.
+ *
+ * ```ts
+ * const watchdog = new EditorWatchdog( ClassicEditor, {
+ * 	storage: new IndexedDBWatchdogStorage( { databaseName: 'my-app' } )
+ * } );
+ * ```
+ */
+class IndexedDBWatchdogStorage {
+    /**
+     * Creates an instance of the IndexedDB watchdog storage.
+     *
+     * @param options.databaseName The name of the database. Defaults to `'ckeditor5-watchdog'`.
+     * @param options.storeName The name of the object store keeping the snapshots. Defaults to `'snapshots'`.
+     */
+    constructor({ databaseName = 'ckeditor5-watchdog', storeName = 'snapshots' } = {}) {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        /**
+         * The promise resolved with the opened database. It is created lazily, when the storage is used for the first time.
+         */
+        this._database = null;
+    }
+    /**
+     * Loads the snapshot saved under the given key.
+     *
+     * @param key The key of the snapshot.
+     * @returns A promise resolved with the snapshot or `null` if there is no snapshot saved under the given key.
+     */
+    load(key) {
+        return this._request('readonly', store => store.get(key))
+            .then(snapshot => snapshot || null);
+    }
+    /**
+     * Saves the snapshot under the given key.
+     *
+     * @param key The key of the snapshot.
+     * @param snapshot The snapshot to save.
+     */
+    save(key, snapshot) {
+        return this._request('readwrite', store => store.put(snapshot, key))
+            .then(() => { });
+    }
+    /**
+     * Removes the snapshot saved under the given key.
+     *
+     * @param key The key of the snapshot.
+     */
+    remove(key) {
+        return this._request('readwrite', store => store.delete(key))
+            .then(() => { });
+    }
+    /**
+     * Opens the database (only once) and creates the object store if it does not exist yet.
+     */
+    _getDatabase() {
+        if (!this._database) {
+            this._database = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow retrying if opening the database failed.
+            this._database.catch(() => {
+                this._database = null;
+            });
+        }
+        return this._database;
+    }
+    /**
+     * Executes a request on the object store within a new transaction.
+     *
+     * @param mode The transaction mode.
+     * @param createRequest A callback creating the request for the given object store.
+     * @returns A promise resolved with the request result.
+     */
+    _request(mode, createRequest) {
+        return this._getDatabase().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+}
+
 /**
  * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
@@ -307,14 +472,48 @@ function isObject(structure) {
  *
  * See the {@glink features/watchdog Watchdog feature guide} to learn the rationale behind it and
  * how to use it.
+ *
+ * The watchdog can also persist the editor snapshots, so the content survives a crash or a reload of the whole page.
+ * To enable it, pass a storage in the `storage` configuration option. The snapshot is saved every time the watchdog
+ * saves the editor data (see the `saveInterval` option) and is offered for restoring when the watchdog creates
+ * an editor for an element with the same `id` (or with the same `storageKey`):
+ *
+ * ```ts
+ * const watchdog = new EditorWatchdog( ClassicEditor, {
+ * 	storage: new IndexedDBWatchdogStorage(),
+ * 	shouldRestoreSnapshot: snapshot => window.confirm( `Restore the content saved on ${ new Date( snapshot.savedAt ) }?` )
+ * } );
+ *
+ * watchdog.on( 'snapshotRestored', () => { ... } );
+ *
+ * await watchdog.create( document.querySelector( '#editor' ) );
+ * ```
  */
 class EditorWatchdog extends Watchdog {
     /**
      * @param Editor The editor class.
      * @param watchdogConfig The watchdog plugin configuration.
+     * @param watchdogConfig.storage A storage used to persist the editor snapshots across page loads, for example,
+     * {@link module:watchdog/storage/localstoragewatchdogstorage~LocalStorageWatchdogStorage} or
+     * {@link module:watchdog/storage/indexeddbwatchdogstorage~IndexedDBWatchdogStorage}.
+     * @param watchdogConfig.storageKey The key under which the snapshot is stored. Defaults to the `id` of the editor source element.
+     * It is required if the editor is initialized using data instead of an element.
+     * @param watchdogConfig.shouldRestoreSnapshot A callback deciding whether the persisted snapshot should be restored.
+     * It receives the snapshot and should return a boolean or a promise resolved with a boolean. If not set, the snapshot
+     * is always restored.
      */
     constructor(Editor, watchdogConfig = {}) {
         super(watchdogConfig);
+        /**
+         * The storage used to persist the editor snapshots or `null` if snapshots are kept only in memory.
+         */
+        this._storage = watchdogConfig.storage || null;
+        this._storageKey = watchdogConfig.storageKey || null;
+        this._shouldRestoreSnapshot = watchdogConfig.shouldRestoreSnapshot || (() => true);
+        /**
+         * The queue of pending storage writes. It makes sure that an older snapshot never overwrites a newer one.
+         */
+        this._storageQueue = Promise.resolve();
         /**
          * The current editor instance.
          */
@@ -399,26 +598,7 @@ class EditorWatchdog extends Watchdog {
             // Our goal here is to make sure that the restarted editor will be reinitialized with correct set of roots.
             // We are not interested in any data set in config or in `.create()` first parameter. It will be replaced anyway.
             // But we need to set them correctly to make sure that proper roots are created.
-            //
-            // Since a different set of roots will be created, `lazyRoots` and `rootsAttributes` properties must be managed too.
-            // Keys are root names, values are ''. Used when the editor was initialized by setting the first parameter to document data.
-            const existingRoots = {};
-            // Keeps lazy roots. They may be different when compared to initial config if some of the roots were loaded.
-            const lazyRoots = [];
-            // Roots attributes from the old config. Will be referred when setting new attributes.
-            const oldRootsAttributes = this._config.rootsAttributes || {};
-            // New attributes to be set. Is filled only for roots that still exist in the document.
-            const rootsAttributes = {};
-            // Traverse through the roots saved when the editor crashed and set up the discussed values.
-            for (const [rootName, rootData] of Object.entries(this._data.roots)) {
-                if (rootData.isLoaded) {
-                    existingRoots[rootName] = '';
-                    rootsAttributes[rootName] = oldRootsAttributes[rootName] || {};
-                }
-                else {
-                    lazyRoots.push(rootName);
-                }
-            }
+            const { existingRoots, lazyRoots, rootsAttributes } = this._getRootsConfig(this._data);
             const updatedConfig = {
                 ...this._config,
                 extraPlugins: this._config.extraPlugins || [],
@@ -451,6 +631,32 @@ class EditorWatchdog extends Watchdog {
             this._fire('restart');
         });
     }
+    /**
+     * Returns the roots set up for the editor restored from the given data, after a crash or from the persisted snapshot.
+     *
+     * Since a different set of roots will be created, `lazyRoots` and `rootsAttributes` properties must be managed too.
+     */
+    _getRootsConfig(data) {
+        // Keys are root names, values are ''. Used when the editor was initialized by setting the first parameter to document data.
+        const existingRoots = {};
+        // Keeps lazy roots. They may be different when compared to initial config if some of the roots were loaded.
+        const lazyRoots = [];
+        // Roots attributes from the old config. Will be referred when setting new attributes.
+        const oldRootsAttributes = this._config.rootsAttributes || {};
+        // New attributes to be set. Is filled only for roots that still exist in the document.
+        const rootsAttributes = {};
+        // Traverse through the saved roots and set up the discussed values.
+        for (const [rootName, rootData] of Object.entries(data.roots)) {
+            if (rootData.isLoaded) {
+                existingRoots[rootName] = '';
+                rootsAttributes[rootName] = oldRootsAttributes[rootName] || {};
+            }
+            else {
+                lazyRoots.push(rootName);
+            }
+        }
+        return { existingRoots, lazyRoots, rootsAttributes };
+    }
     /**
      * Creates the editor instance and keeps it running, using the defined creator and destructor.
      *
@@ -459,8 +665,11 @@ class EditorWatchdog extends Watchdog {
      * @param context A context for the editor.
      */
     create(elementOrData = this._elementOrData, config = this._config, context) {
+        let snapshot = null;
         return Promise.resolve()
-            .then(() => {
+            .then(() => this._loadSnapshot(elementOrData, config))
+            .then(loadedSnapshot => {
+            snapshot = loadedSnapshot;
             super._startErrorHandling();
             this._elementOrData = elementOrData;
             // Use document data in the first parameter of the editor `.create()` call only if it was used like this originally.
@@ -471,6 +680,21 @@ class EditorWatchdog extends Watchdog {
             // when an error occurs in one of these editors, the watchdog will restart all of them.
             this._config = this._cloneEditorConfiguration(config) || {};
             this._config.context = context;
+            if (snapshot) {
+                // Restore the snapshot the same way as the editor data is restored after a crash.
+                const { existingRoots, lazyRoots, rootsAttributes } = this._getRootsConfig(snapshot.data);
+                this._config = {
+                    ...this._config,
+                    extraPlugins: [...(this._config.extraPlugins || []), EditorWatchdogInitPlugin],
+                    lazyRoots,
+                    rootsAttributes,
+                    _watchdogInitialData: snapshot.data
+                };
+                delete this._config.initialData;
+                if (this._initUsingData) {
+                    elementOrData = existingRoots;
+                }
+            }
             return this._creator(elementOrData, this._config);
         })
             .then(editor => {
@@ -483,8 +707,29 @@ class EditorWatchdog extends Watchdog {
             }
             this.state = 'ready';
             this._fire('stateChange');
+            if (snapshot) {
+                this._fire('snapshotRestored', { key: this._getStorageKey(), snapshot });
+            }
         });
     }
+    /**
+     * Removes the snapshot persisted in the configured storage. It should be called when the editor content
+     * was successfully saved by the application, so the outdated snapshot is not offered for restoring on the next page load.
+     *
+     * ```ts
+     * await saveToServer( watchdog.editor.getData() );
+     * await watchdog.clearSnapshot();
+     * ```
+     */
+    clearSnapshot() {
+        const key = this._getStorageKey();
+        if (!this._storage || !key) {
+            return Promise.resolve();
+        }
+        this._throttledSave.cancel();
+        this._storageQueue = this._storageQueue.then(() => this._storage.remove(key));
+        return this._storageQueue;
+    }
     /**
      * Destroys the watchdog and the current editor instance. It fires the callback
      * registered in {@link #setDestructor `setDestructor()`} and uses it to destroy the editor instance.
@@ -497,7 +742,10 @@ class EditorWatchdog extends Watchdog {
             this._fire('stateChange');
             super.destroy();
             return this._destroy();
-        });
+        })
+            // Wait for the pending storage writes, so none of them lands after the watchdog is destroyed,
+            // e.g. after the snapshot was cleared. Their errors are handled by the code that requested them.
+            .then(() => this._storageQueue.catch(() => { }));
     }
     _destroy() {
         return Promise.resolve()
@@ -525,12 +773,77 @@ class EditorWatchdog extends Watchdog {
                 this._editables = this._getEditables();
             }
             this._lastDocumentVersion = version;
+            this._persistSnapshot();
         }
         catch (err) {
             console.error(err, 'An error happened during restoring editor data. ' +
                 'Editor will be restored from the previously saved data.');
         }
     }
+    /**
+     * Writes the last saved editor data to the configured storage.
+     *
+     * @fires snapshotSaved
+     */
+    _persistSnapshot() {
+        const key = this._getStorageKey();
+        if (!this._storage || !key) {
+            return;
+        }
+        const snapshot = {
+            data: this._data,
+            savedAt: this._now()
+        };
+        this._storageQueue = this._storageQueue
+            .then(() => this._storage.save(key, snapshot))
+            .then(() => {
+            this._fire('snapshotSaved', { key, snapshot });
+        })
+            .catch(err => {
+            console.error(err, 'An error happened during persisting the editor snapshot.');
+        });
+    }
+    /**
+     * Loads the persisted snapshot for the editor that is about to be created and asks whether it should be restored.
+     *
+     * The snapshot is not loaded when the editor is restarted after a crash, as the in-memory data is more recent then.
+     *
+     * @returns A promise resolved with the snapshot to restore or `null`.
+     */
+    _loadSnapshot(elementOrData, config) {
+        if (!this._storage || config && config._watchdogInitialData) {
+            return Promise.resolve(null);
+        }
+        const key = this._getStorageKey(elementOrData);
+        if (!key) {
+            return Promise.resolve(null);
+        }
+        return this._storage.load(key)
+            .then(snapshot => {
+            if (!snapshot || !snapshot.data) {
+                return null;
+            }
+            return Promise.resolve(this._shouldRestoreSnapshot(snapshot))
+                .then(shouldRestore => shouldRestore ? snapshot : null);
+        })
+            .catch(err => {
+            console.error(err, 'An error happened during loading the persisted editor snapshot.');
+            return null;
+        });
+    }
+    /**
+     * Returns the key under which the snapshot is persisted: either the configured `storageKey` or one based on the `id`
+     * of the editor source element. Returns `null` if none of them is available.
+     */
+    _getStorageKey(elementOrData = this._elementOrData) {
+        if (this._storageKey) {
+            return this._storageKey;
+        }
+        if (isElement(elementOrData) && elementOrData.id) {
+            return `ckeditor5-watchdog:${elementOrData.id}`;
+        }
+        return null;
+    }
     /**
      * @internal
      */
@@ -1126,4 +1439,4 @@ function toArray(elementOrArray) {
     return Array.isArray(elementOrArray) ? elementOrArray : [elementOrArray];
 }
 
-export { ContextWatchdog, EditorWatchdog, Watchdog };
+export { ContextWatchdog, EditorWatchdog, IndexedDBWatchdogStorage, LocalStorageWatchdogStorage, Watchdog };